@@ -5,28 +5,88 @@ const process = require("process");
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
+const https = require("https");
 const axios = require("axios");
 const unzipper = require("unzipper");
 const yaml = require("js-yaml");
 const tc = require("@actions/tool-cache");
+const { DefaultArtifactClient } = require("@actions/artifact");
+const { spawn } = require("child_process");
 
-// Handle signals to ensure clean exit
-process.on('SIGINT', () => {
-  console.log('Action wrapper received SIGINT, exiting...');
-  process.exit(0);
-});
-process.on('SIGTERM', () => {
-  console.log('Action wrapper received SIGTERM, exiting...');
-  process.exit(0);
-});
-
-// Set an absolute maximum timeout for the entire action (30 minutes)
-const MAX_ACTION_DURATION_MS = 30 * 60 * 1000;
-const actionTimeoutId = setTimeout(() => {
-  core.warning(`Action timed out after ${MAX_ACTION_DURATION_MS / 60000} minutes. Forcing exit.`);
-  process.exit(1);
-}, MAX_ACTION_DURATION_MS);
-actionTimeoutId.unref();
+// How long a stopped witness process group gets to exit before it is killed.
+const KILL_GRACE_PERIOD_MS = 5000;
+// While witness runs, the Fulcio token file is checked this often, and the token is replaced
+// when it expires within FULCIO_TOKEN_REFRESH_MARGIN_MS.
+const FULCIO_TOKEN_CHECK_INTERVAL_MS = 30 * 1000;
+const FULCIO_TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000;
+// Witness processes that are running, so signals can be forwarded to them.
+const activeWitnessProcesses = new Set();
+// Cleanup that must happen before the wrapper exits, also when it is cancelled: removing key
+// material and the like. See runCleanupTasks.
+const cleanupTasks = new Set();
+
+function installProcessHandlers() {
+  // Forward cancellation to the witness processes, clean up once they are gone and fail the step.
+  const cancel = (signal) => {
+    console.log(`Action wrapper received ${signal}, stopping witness...`);
+    core.setOutput("failure_phase", "cancelled");
+    core.setFailed(`Action wrapper was cancelled (${signal})`);
+    Promise.all([...activeWitnessProcesses].map((record) => stopWitnessProcess(record, signal, signal)))
+      .then(() => {
+        runCleanupTasks();
+        process.exit(1);
+      });
+  };
+  process.once('SIGINT', () => cancel('SIGINT'));
+  process.once('SIGTERM', () => cancel('SIGTERM'));
+}
+
+// Set on the witness-wrapped child process that executes a nested action directly, so a
+// composite action or a JavaScript action with pre/post scripts yields a single attestation.
+const NESTED_ACTION_DIR_ENV = "WITNESS_WRAPPER_NESTED_ACTION_DIR";
+// Set for the wrapper and its child processes when nested action installs must not run
+// npm lifecycle scripts.
+const NPM_IGNORE_SCRIPTS_ENV = "WITNESS_WRAPPER_NPM_IGNORE_SCRIPTS";
+// Set for the wrapper and its child processes when require-pinned-action is on, so `uses:`
+// steps of composite actions must be pinned as well.
+const REQUIRE_PINNED_ACTION_ENV = "WITNESS_WRAPPER_REQUIRE_PINNED_ACTION";
+// Set on the witness-wrapped child process that runs a command and records its exit code,
+// so witness attests failed commands (attest-failed-commands).
+const EXIT_CODE_FILE_ENV = "WITNESS_WRAPPER_EXIT_CODE_FILE";
+// Attestor names accepted by `witness run -a`.
+const KNOWN_ATTESTORS = [
+  "aws", "aws-codebuild", "command-run", "docker", "environment", "gcp-iit", "git", "github", "githubwebhook",
+  "gitlab", "jenkins", "jwt", "k8smanifest", "link", "lockfiles", "material", "maven", "oci",
+  "omnitrail", "policyverify", "product", "sarif", "sbom", "secretscan", "slsa",
+  "system-packages", "vex",
+];
+// Inputs that carry secrets and are only read by the wrapper. Their INPUT_* variables are
+// removed once read, so witness, the wrapped command and nested actions never see them.
+const WRAPPER_SECRET_INPUTS = ["key-pem", "certificate-pem", "fulcio-token", "archivista-token", "github-token"];
+// KMS key references witness can sign with.
+const KMS_REF_PATTERN = /^(awskms|gcpkms|azurekms|hashivault):\/\/.+/;
+// Witness release architecture names for process.arch values.
+const WITNESS_ARCHES = { x64: "amd64", arm64: "arm64", arm: "armv7", ppc64: "ppc64le", s390x: "s390x" };
+// Node.js release architecture names for process.arch values.
+const NODE_ARCHES = { x64: "x64", arm64: "arm64", arm: "armv7l", ppc64: "ppc64le", s390x: "s390x" };
+// Full 40-character commit SHA, the pinning style for action refs.
+const COMMIT_SHA_PATTERN = /^[0-9a-fA-F]{40}$/;
+// Written into a downloaded action so its source (ref, commit, archive digest) is recorded
+// as a material.
+const ACTION_SOURCE_MATERIAL_FILE = "action-source.json";
+// Written into the root of a cached action with the SHA-256 digest of the archive it came from.
+// Only copied into action-source.json; action-sha256 is always checked against the archive.
+const ACTION_ARCHIVE_DIGEST_FILE = ".action-archive-sha256";
+// Written into the working directory of a command run with attest-failed-commands, so the
+// real command and its exit code are recorded as a product.
+const COMMAND_EXIT_CODE_FILE = "command-exit-code.json";
+// First delay between Archivista upload attempts; it doubles with every retry.
+const ARCHIVISTA_RETRY_DELAY_MS = 1000;
+// Rounds of following subjects when searching Archivista for attestations to verify.
+const ARCHIVISTA_SEARCH_DEPTH = 3;
+// Written next to a Docker action so the image digest is recorded as a material.
+const DOCKER_IMAGE_MATERIAL_FILE = "docker-image-digest.json";
 
 async function run() {
   try {
@@ -34,488 +94,2820 @@ async function run() {
     const witnessVersion = core.getInput("witness-version") || "0.2.11";
     const witnessInstallDir = core.getInput("witness-install-dir") || "./";
 
-    // Step 2: Download Witness binary
-    await downloadWitness(witnessVersion, witnessInstallDir);
+    const witnessPathInput = core.getInput("witness-path");
+
+    // Validate the witness run options before anything is downloaded
+    const witnessOptions = getWitnessOptions();
+    validateWitnessOptions(witnessOptions);
+    if (!witnessOptions.step && !core.getInput("steps-file")) {
+      throw new Error("'step' must be provided unless 'steps-file' is used");
+    }
+    const archivista = witnessOptions.enableArchivista ? getArchivistaConfig(witnessOptions.archivistaServer) : null;
+    const publishing = getPublishConfig(witnessOptions.step);
+    removeSecretInputsFromEnv(process.env);
+    cleanupTasks.add(writeKeyMaterial(witnessOptions));
+    if (core.getInput("npm-ignore-scripts") === "true") {
+      process.env[NPM_IGNORE_SCRIPTS_ENV] = "true";
+    }
+    if (core.getInput("require-pinned-action") === "true") {
+      process.env[REQUIRE_PINNED_ACTION_ENV] = "true";
+    }
+    // Fail before any work is done when Sigstore signing cannot get an OIDC token.
+    await refreshFulcioToken(witnessOptions);
+
+    // Step 2: Download Witness binary, unless a pre-installed one is given
+    if (witnessPathInput) {
+      witnessOptions.witnessBinary = usePreinstalledWitness(witnessPathInput);
+    } else {
+      witnessOptions.witnessBinary = await downloadWitness(witnessVersion, witnessInstallDir, {
+        sha256: core.getInput("witness-sha256"),
+        verifySignature: core.getInput("witness-verify-signature") === "true",
+        signerIdentity: core.getInput("witness-signer-identity") ||
+          `https://github.com/in-toto/witness/.github/workflows/release.yml@refs/tags/v${witnessVersion}`,
+        signerOidcIssuer: core.getInput("witness-signer-oidc-issuer") || "https://token.actions.githubusercontent.com",
+      });
+    }
 
-    // Check for either a direct command or an action-ref (action-ref takes precedence)
-    const directCommand = core.getInput("command");
+    // Step 3: Check for a steps file, an action-ref, a script, an argument list or a command
+    // (in that order of precedence)
+    const stepsFile = core.getInput("steps-file");
     const actionRef = core.getInput("action-ref");
     let downloadedActionDir = null;
     let commandToRun = null;
-    if (actionRef) {
-      downloadedActionDir = await downloadAndExtractAction(actionRef);
-    } else if (directCommand) {
-      commandToRun = directCommand;
-      core.info(`Using direct command mode: ${commandToRun}`);
-    } else {
-      throw new Error("Either 'action-ref' or 'command' input must be provided");
-    }
-
-    // Step 4: Prepare witness command inputs
-    const step = core.getInput("step");
-    const archivistaServer = core.getInput("archivista-server");
-    const attestations = core.getInput("attestations").split(" ");
-    const certificate = core.getInput("certificate");
-    const enableArchivista = core.getInput("enable-archivista") === "true";
-    let fulcio = core.getInput("fulcio");
-    let fulcioOidcClientId = core.getInput("fulcio-oidc-client-id");
-    let fulcioOidcIssuer = core.getInput("fulcio-oidc-issuer");
-    const fulcioToken = core.getInput("fulcio-token");
-    const intermediates = core.getInput("intermediates").split(" ");
-    const key = core.getInput("key");
-    let outfile = core.getInput("outfile");
-    outfile = outfile ? outfile : path.join(os.tmpdir(), step + "-attestation.json");
-    const productExcludeGlob = core.getInput("product-exclude-glob");
-    const productIncludeGlob = core.getInput("product-include-glob");
-    const spiffeSocket = core.getInput("spiffe-socket");
-    let timestampServers = core.getInput("timestamp-servers");
-    const trace = core.getInput("trace");
-    const enableSigstore = core.getInput("enable-sigstore") === "true";
-    const exportLink = core.getInput("attestor-link-export") === "true";
-    const exportSBOM = core.getInput("attestor-sbom-export") === "true";
-    const exportSLSA = core.getInput("attestor-slsa-export") === "true";
-    const mavenPOM = core.getInput("attestor-maven-pom-path");
-
-    let witnessOutput;
-    if (downloadedActionDir) {
-      witnessOutput = await runActionWithWitness(downloadedActionDir, {
-        step,
-        archivistaServer,
-        attestations,
-        certificate,
-        enableArchivista,
-        fulcio,
-        fulcioOidcClientId,
-        fulcioOidcIssuer,
-        fulcioToken,
-        intermediates,
-        key,
-        outfile,
-        productExcludeGlob,
-        productIncludeGlob,
-        spiffeSocket,
-        timestampServers,
-        trace,
-        enableSigstore,
-        exportLink,
-        exportSBOM,
-        exportSLSA,
-        mavenPOM,
+    if (stepsFile) {
+      core.info(`Using steps file: ${stepsFile}`);
+    } else if (actionRef) {
+      const downloaded = await resolveAction(actionRef, {
+        sha256: core.getInput("action-sha256"),
+        requirePinned: core.getInput("require-pinned-action") === "true",
       });
+      downloadedActionDir = downloaded.actionDir;
+      if (downloaded.commitSha) {
+        core.setOutput("action_sha", downloaded.commitSha);
+      }
     } else {
-      witnessOutput = await runDirectCommandWithWitness(commandToRun, {
-        step,
-        archivistaServer,
-        attestations,
-        certificate,
-        enableArchivista,
-        fulcio,
-        fulcioOidcClientId,
-        fulcioOidcIssuer,
-        fulcioToken,
-        intermediates,
-        key,
-        outfile,
-        productExcludeGlob,
-        productIncludeGlob,
-        spiffeSocket,
-        timestampServers,
-        trace,
-        enableSigstore,
-        exportLink,
-        exportSBOM,
-        exportSLSA,
-        mavenPOM,
+      commandToRun = selectDirectCommand({
+        script: core.getInput("run"),
+        commandArgs: core.getInput("command-args"),
+        command: core.getInput("command"),
+        shell: core.getInput("shell"),
       });
+      if (!commandToRun) {
+        throw new Error("One of 'steps-file', 'action-ref', 'run', 'command-args' or 'command' must be provided");
+      }
     }
 
-    // Step 6: Process output
-    const gitOIDs = extractDesiredGitOIDs(witnessOutput);
-    for (const gitOID of gitOIDs) {
-      console.log("Extracted GitOID:", gitOID);
-      core.setOutput("git_oid", gitOID);
-      const artifactURL = `${archivistaServer}/download/${gitOID}`;
-      const summaryHeader = `
-## Attestations Created
-| Step | Attestors Run | Attestation GitOID
-| --- | --- | --- |
-`;
+    // Step 4: Run the steps, action or command under witness
+    const { attestationFiles, witnessBinary } = witnessOptions;
+    let runError = null;
+    try {
+      if (stepsFile) {
+        await runStepsFile(stepsFile, witnessOptions);
+      } else if (downloadedActionDir) {
+        await runActionWithWitness(downloadedActionDir, witnessOptions);
+      } else {
+        const context = getDirectCommandContext(core.getInput("working-directory"), [core.getInput("env")]);
+        await runDirectCommandWithWitness(commandToRun, witnessOptions, context);
+      }
+    } catch (error) {
+      // Attestations written before the failure (earlier steps of a steps file, steps with
+      // continue-on-error, or failed commands with attest-failed-commands) are still processed below.
+      runError = error;
+    }
+
+    // Step 5: Process the attestation envelopes witness wrote
+    const attestationSummaries = attestationFiles
+      .filter((attestationFile) => fs.existsSync(attestationFile))
+      .map(summarizeAttestation);
+    setAttestationOutputs(attestationSummaries);
+    for (const { gitOID } of attestationSummaries) {
+      console.log("Attestation GitOID:", gitOID);
+    }
+    // The wrapper uploads to Archivista itself, so outages are retried and spooled.
+    let uploadError = null;
+    let uploadedGitOIDs = [];
+    if (archivista) {
+      const upload = await uploadAttestations(attestationSummaries, archivista);
+      uploadedGitOIDs = upload.uploaded;
+      uploadError = upload.error;
+    }
+    await writeAttestationSummary(attestationSummaries, archivista, uploadedGitOIDs);
+
+    // Keep the envelopes beyond the job as a workflow artifact and/or release assets.
+    let publishError = null;
+    if (attestationSummaries.length > 0 && (publishing.artifact || publishing.release)) {
       try {
-        if (process.env.GITHUB_STEP_SUMMARY) {
-          const summaryFile = fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, { encoding: "utf-8" });
-          if (!summaryFile.includes(summaryHeader.trim())) {
-            fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, summaryHeader);
-          }
-          const tableRow = `| ${step} | ${attestations.join(", ")} | [${gitOID}](${artifactURL}) |\n`;
-          fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, tableRow);
-        }
+        await publishAttestations(attestationSummaries.map((summary) => summary.file), publishing, witnessOptions);
       } catch (error) {
-        core.warning(`Could not write to GitHub step summary: ${error.message}`);
+        publishError = withFailurePhase(error, "publish");
       }
     }
+    if (runError) {
+      throw runError;
+    }
+    if (uploadError) {
+      throw uploadError;
+    }
+    if (publishError) {
+      throw publishError;
+    }
+    core.setOutput("exit_code", "0");
+
+    // Step 6: Optionally verify the new attestations against a policy
+    const policy = core.getInput("policy");
+    if (policy) {
+      await verifyAttestations({
+        policy,
+        policyKey: core.getInput("policy-key"),
+        policyCa: core.getInput("policy-ca").split(" "),
+        artifact: core.getInput("verify-artifact"),
+        attestationFiles: [...attestationFiles, ...core.getInput("verify-attestations").split(" ")],
+        archivista,
+        witnessBinary,
+      });
+    }
   } catch (error) {
-    core.setFailed(`Wrapper action failed: ${error.message}`);
+    const failurePhase = error.failurePhase || "setup";
+    core.setOutput("failure_phase", failurePhase);
+    if (error.exitCode !== undefined) {
+      core.setOutput("exit_code", String(error.exitCode));
+    }
+    core.setFailed(`Wrapper action failed (${failurePhase}): ${error.message}`);
     if (error.response) {
       core.error(`HTTP status: ${error.response.status}`);
     }
+  } finally {
+    runCleanupTasks();
+  }
+}
+
+// Run and forget every registered cleanup task. A failing task does not stop the others.
+function runCleanupTasks() {
+  for (const task of cleanupTasks) {
+    cleanupTasks.delete(task);
+    try {
+      task();
+    } catch (error) {
+      core.warning(`Cleanup failed: ${error.message}`);
+    }
+  }
+}
+
+// Tag an error with the phase it happened in and the exit code of the process that failed,
+// for the failure_phase and exit_code outputs. Phases already set by a deeper call are kept.
+function withFailurePhase(error, failurePhase, exitCode) {
+  if (!error.failurePhase) {
+    error.failurePhase = failurePhase;
+    if (exitCode !== undefined && exitCode !== null) error.exitCode = exitCode;
   }
+  return error;
 }
 
-async function downloadWitness(version, installDir) {
-  let witnessPath = tc.find("witness", version);
+// Download, verify and cache the witness release for this platform and architecture.
+// Returns the path of the witness binary.
+async function downloadWitness(version, installDir, verification) {
+  const binaryName = process.platform === "win32" ? "witness.exe" : "witness";
+  let witnessPath = tc.find("witness", version, process.arch);
   console.log("Cached Witness Path: " + witnessPath);
   if (!witnessPath) {
-    console.log("Witness not found in cache, downloading now");
-    let witnessTar;
+    const { witnessBaseUrl, offlineDir } = getDownloadConfig();
+    let witnessOs = "linux";
     if (process.platform === "win32") {
-      witnessTar = await tc.downloadTool(`https://github.com/in-toto/witness/releases/download/v${version}/witness_${version}_windows_amd64.tar.gz`);
+      witnessOs = "windows";
     } else if (process.platform === "darwin") {
-      witnessTar = await tc.downloadTool(`https://github.com/in-toto/witness/releases/download/v${version}/witness_${version}_darwin_amd64.tar.gz`);
+      witnessOs = "darwin";
+    }
+    const witnessArch = WITNESS_ARCHES[process.arch];
+    if (!witnessArch) {
+      throw new Error(`No witness release for architecture ${process.arch}. Use witness-path to provide a binary`);
+    }
+    // Windows releases are zip archives, all others are tarballs.
+    const assetExt = process.platform === "win32" ? "zip" : "tar.gz";
+    const assetName = `witness_${version}_${witnessOs}_${witnessArch}.${assetExt}`;
+    let witnessArchive;
+    if (offlineDir) {
+      witnessArchive = path.join(offlineDir, assetName);
+      console.log("Witness not found in cache, reading from offline directory: " + witnessArchive);
+      if (!fs.existsSync(witnessArchive)) {
+        throw new Error(`Offline mode: witness ${version} is not in the tool cache and ${witnessArchive} does not exist`);
+      }
     } else {
-      witnessTar = await tc.downloadTool(`https://github.com/in-toto/witness/releases/download/v${version}/witness_${version}_linux_amd64.tar.gz`);
+      console.log("Witness not found in cache, downloading now");
+      witnessArchive = await tc.downloadTool(`${witnessBaseUrl}/v${version}/${assetName}`);
     }
+    // Nothing is extracted or cached unless the archive passes verification.
+    await verifyWitnessArchive(witnessArchive, assetName, version, verification);
     if (!fs.existsSync(installDir)) {
       console.log("Creating witness install directory at " + installDir);
       fs.mkdirSync(installDir, { recursive: true });
     }
     console.log("Extracting witness at: " + installDir);
-    witnessPath = await tc.extractTar(witnessTar, installDir);
-    const cachedPath = await tc.cacheFile(path.join(witnessPath, "witness"), "witness", "witness", version);
+    if (assetExt === "zip") {
+      witnessPath = await tc.extractZip(witnessArchive, installDir);
+    } else {
+      witnessPath = await tc.extractTar(witnessArchive, installDir);
+    }
+    const cachedPath = await tc.cacheFile(path.join(witnessPath, binaryName), binaryName, "witness", version, process.arch);
     console.log("Witness cached at: " + cachedPath);
     witnessPath = cachedPath;
   }
   core.addPath(witnessPath);
-  return witnessPath;
+  return path.join(witnessPath, binaryName);
+}
+
+// Use a pre-installed or self-built witness binary, given as the binary itself or the
+// directory containing it.
+function usePreinstalledWitness(witnessPath) {
+  let witnessBinary = path.resolve(witnessPath);
+  if (fs.existsSync(witnessBinary) && fs.statSync(witnessBinary).isDirectory()) {
+    witnessBinary = path.join(witnessBinary, process.platform === "win32" ? "witness.exe" : "witness");
+  }
+  if (!fs.existsSync(witnessBinary)) {
+    throw new Error(`Witness binary not found at ${witnessBinary} (witness-path)`);
+  }
+  console.log("Using pre-installed Witness: " + witnessBinary);
+  core.addPath(path.dirname(witnessBinary));
+  return witnessBinary;
+}
+
+// Check the witness archive's SHA-256 against the user-supplied digest and/or the release's
+// checksums file, whose cosign signature can be verified against a pinned identity first.
+async function verifyWitnessArchive(witnessArchive, assetName, version, { sha256, verifySignature, signerIdentity, signerOidcIssuer }) {
+  const actualSha256 = await sha256File(witnessArchive);
+  console.log(`Witness archive SHA-256: ${actualSha256}`);
+
+  if (sha256 && actualSha256 !== sha256.trim().toLowerCase()) {
+    throw new Error(`Witness archive digest mismatch: expected ${sha256.trim().toLowerCase()}, got ${actualSha256}`);
+  }
+
+  if (!sha256 || verifySignature) {
+    const checksumsName = `witness_${version}_checksums.txt`;
+    let checksumsFile;
+    try {
+      checksumsFile = await fetchWitnessReleaseFile(version, checksumsName);
+    } catch (error) {
+      throw new Error(`Could not fetch ${checksumsName} to verify witness (${error.message}). Provide witness-sha256 instead`);
+    }
+
+    if (verifySignature) {
+      const signatureFile = await fetchWitnessReleaseFile(version, `${checksumsName}.sig`);
+      const certificateFile = await fetchWitnessReleaseFile(version, `${checksumsName}.pem`);
+      console.log(`Verifying signature of ${checksumsName} for identity ${signerIdentity}`);
+      try {
+        await exec.exec("cosign", [
+          "verify-blob",
+          "--certificate", certificateFile,
+          "--signature", signatureFile,
+          "--certificate-identity", signerIdentity,
+          "--certificate-oidc-issuer", signerOidcIssuer,
+          checksumsFile,
+        ]);
+      } catch (error) {
+        throw new Error(`Signature verification of ${checksumsName} failed: ${error.message}`);
+      }
+    }
+
+    const entry = fs.readFileSync(checksumsFile, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim().split(/\s+/))
+      .find((fields) => fields.length === 2 && fields[1].replace(/^\*/, "") === assetName);
+    if (!entry) {
+      throw new Error(`${assetName} is not listed in ${checksumsName}`);
+    }
+    if (entry[0].toLowerCase() !== actualSha256) {
+      throw new Error(`Witness archive digest mismatch: ${checksumsName} lists ${entry[0].toLowerCase()}, got ${actualSha256}`);
+    }
+  }
+  console.log("Witness archive verified");
+}
+
+// Fetch a file published with a witness release, from the offline directory or the mirror.
+async function fetchWitnessReleaseFile(version, name) {
+  const { witnessBaseUrl, offlineDir } = getDownloadConfig();
+  if (offlineDir) {
+    const file = path.join(offlineDir, name);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Offline mode: ${file} does not exist`);
+    }
+    return file;
+  }
+  return tc.downloadTool(`${witnessBaseUrl}/v${version}/${name}`);
+}
+
+// Where witness releases and action archives come from. Mirrors replace the github.com
+// base URLs (same path layout); an offline directory replaces downloading altogether.
+function getDownloadConfig() {
+  return {
+    witnessBaseUrl: (core.getInput("witness-mirror-url") || "https://github.com/in-toto/witness/releases/download").replace(/\/+$/, ""),
+    actionBaseUrl: (core.getInput("action-mirror-url") || "https://github.com").replace(/\/+$/, ""),
+    nodeBaseUrl: (core.getInput("node-mirror-url") || "https://nodejs.org/dist").replace(/\/+$/, ""),
+    offlineDir: core.getInput("offline-dir"),
+  };
+}
+
+// Resolve an action reference to a directory containing its metadata. Local actions
+// (`./path`) are used straight from the workspace; anything else is downloaded.
+async function resolveAction(actionRef, options) {
+  if (actionRef.startsWith("./") || actionRef.startsWith("../")) {
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    const actionDir = path.resolve(workspace, actionRef);
+    core.info(`Using local action at ${actionDir}`);
+    if (!hasActionMetadata(actionDir)) {
+      throw new Error(`Local action '${actionRef}' not found: no action.yml or action.yaml in ${actionDir}`);
+    }
+    return { actionDir, commitSha: null };
+  }
+  return downloadAndExtractAction(actionRef, options);
+}
+
+function hasActionMetadata(actionDir) {
+  return fs.existsSync(path.join(actionDir, "action.yml")) || fs.existsSync(path.join(actionDir, "action.yaml"));
 }
 
-async function downloadAndExtractAction(actionRef) {
-  const [repo, ref] = parseActionRef(actionRef);
-  core.info(`Parsed repo: ${repo}, ref: ${ref}`);
-  const isTag = !ref.includes('/');
-  const zipUrl = isTag
-    ? `https://github.com/${repo}/archive/refs/tags/${ref}.zip`
-    : `https://github.com/${repo}/archive/refs/heads/${ref}.zip`;
-  core.info(`Downloading action from: ${zipUrl}`);
+async function downloadAndExtractAction(actionRef, { sha256, requirePinned } = {}) {
+  const [repo, ref, subPath] = parseActionRef(actionRef);
+  core.info(`Parsed repo: ${repo}, ref: ${ref}${subPath ? `, path: ${subPath}` : ""}`);
+  const isCommitSha = COMMIT_SHA_PATTERN.test(ref);
+  if (requirePinned && !isCommitSha && !sha256) {
+    throw new Error(`Action ref '${actionRef}' is not pinned. Use a full commit SHA or provide action-sha256`);
+  }
+  const isTag = !isCommitSha && !ref.includes('/');
+
+  // An action pinned to a commit SHA is taken from the tool cache when it was fetched before.
+  // With action-sha256 it is always downloaded: only the archive itself can be checked
+  // against the digest, not a cached copy that may have changed since.
+  if (isCommitSha && !sha256) {
+    const workDir = copyCachedAction(repo, ref.toLowerCase());
+    if (workDir) {
+      return prepareActionDir(workDir, { repo, ref, subPath, commitSha: ref.toLowerCase() });
+    }
+  }
+
+  const { actionBaseUrl, offlineDir } = getDownloadConfig();
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nested-action-"));
-  try {
-    const response = await axios({
-      url: zipUrl,
-      method: "GET",
-      responseType: "stream",
-      validateStatus: status => status >= 200 && status < 300,
-      maxRedirects: 5
-    });
-    await new Promise((resolve, reject) => {
-      response.data.pipe(unzipper.Extract({ path: tempDir })).on("close", resolve).on("error", reject);
-    });
-    core.info(`Downloaded and extracted to ${tempDir}`);
-  } catch (error) {
-    if (error.response) {
-      core.error(`Download failed with status ${error.response.status}`);
-      if (isTag) {
-        core.info("Attempting alternative download URL for branches...");
-        const altZipUrl = `https://github.com/${repo}/archive/refs/heads/${ref}.zip`;
-        core.info(`Trying alternative URL: ${altZipUrl}`);
-        const altResponse = await axios({
-          url: altZipUrl,
-          method: "GET",
-          responseType: "stream",
-          maxRedirects: 5
-        });
-        await new Promise((resolve, reject) => {
-          altResponse.data.pipe(unzipper.Extract({ path: tempDir })).on("close", resolve).on("error", reject);
-        });
-        core.info(`Downloaded and extracted from alternative URL to ${tempDir}`);
+  let zipPath;
+  if (offlineDir) {
+    // Offline archives are laid out as <offline-dir>/<owner>/<repo>/<ref>.zip
+    zipPath = path.join(offlineDir, repo, `${ref}.zip`);
+    core.info(`Offline mode: reading action archive from ${zipPath}`);
+    if (!fs.existsSync(zipPath)) {
+      throw new Error(`Offline mode: archive for ${repo}@${ref} not found at ${zipPath}`);
+    }
+  } else {
+    let zipUrl;
+    if (isCommitSha) {
+      zipUrl = `${actionBaseUrl}/${repo}/archive/${ref}.zip`;
+    } else if (isTag) {
+      zipUrl = `${actionBaseUrl}/${repo}/archive/refs/tags/${ref}.zip`;
+    } else {
+      zipUrl = `${actionBaseUrl}/${repo}/archive/refs/heads/${ref}.zip`;
+    }
+    core.info(`Downloading action from: ${zipUrl}`);
+    zipPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nested-action-zip-")), "action.zip");
+    try {
+      await downloadArchive(zipUrl, zipPath);
+    } catch (error) {
+      if (error.response) {
+        core.error(`Download failed with status ${error.response.status}`);
+        if (isTag) {
+          core.info("Attempting alternative download URL for branches...");
+          const altZipUrl = `${actionBaseUrl}/${repo}/archive/refs/heads/${ref}.zip`;
+          core.info(`Trying alternative URL: ${altZipUrl}`);
+          await downloadArchive(altZipUrl, zipPath);
+        } else {
+          throw error;
+        }
       } else {
         throw error;
       }
-    } else {
-      throw error;
     }
   }
+
+  // Verify the archive before anything is extracted from it.
+  const archiveSha256 = await sha256File(zipPath);
+  core.info(`Action archive SHA-256: ${archiveSha256}`);
+  if (sha256 && archiveSha256 !== sha256.trim().toLowerCase()) {
+    throw new Error(`Action archive digest mismatch: expected ${sha256.trim().toLowerCase()}, got ${archiveSha256}`);
+  }
+  const archive = await unzipper.Open.file(zipPath);
+
+  // GitHub stores the commit SHA of an archive in the zip comment.
+  const archiveComment = (archive.comment || "").trim();
+  let commitSha = null;
+  if (isCommitSha) {
+    commitSha = ref.toLowerCase();
+  } else if (COMMIT_SHA_PATTERN.test(archiveComment)) {
+    commitSha = archiveComment.toLowerCase();
+  } else {
+    core.warning(`Could not resolve the commit SHA of ${actionRef}`);
+  }
+  if (commitSha) core.info(`Resolved ${actionRef} to commit ${commitSha}`);
+
+  // A moving ref that resolves to an already cached commit reuses the cached copy.
+  if (commitSha && !isCommitSha && !sha256) {
+    const workDir = copyCachedAction(repo, commitSha);
+    if (workDir) {
+      return prepareActionDir(workDir, { repo, ref, subPath, commitSha });
+    }
+  }
+
+  await archive.extract({ path: tempDir });
+  core.info(`Downloaded and extracted to ${tempDir}`);
+
   core.debug(`Temporary directory contents: ${fs.readdirSync(tempDir).join(', ')}`);
   const repoName = repo.split("/")[1];
-  const extractedFolder = path.join(tempDir, `${repoName}-${ref}`);
+  let extractedFolder = path.join(tempDir, `${repoName}-${ref}`);
   if (!fs.existsSync(extractedFolder)) {
     const tempContents = fs.readdirSync(tempDir);
     if (tempContents.length === 1 && fs.lstatSync(path.join(tempDir, tempContents[0])).isDirectory()) {
-      const alternateFolder = path.join(tempDir, tempContents[0]);
-      core.info(`Using alternative extracted folder: ${alternateFolder}`);
-      return alternateFolder;
+      extractedFolder = path.join(tempDir, tempContents[0]);
+      core.info(`Using alternative extracted folder: ${extractedFolder}`);
     } else {
       throw new Error(`Extracted folder ${extractedFolder} not found and could not determine alternative.`);
     }
   }
-  return extractedFolder;
+
+  fs.writeFileSync(path.join(extractedFolder, ACTION_ARCHIVE_DIGEST_FILE), archiveSha256 + "\n");
+  if (commitSha) {
+    // The cache gets its own copy; this run keeps working in the extracted folder.
+    const cachedDir = await tc.cacheDir(extractedFolder, actionCacheName(repo), actionCacheVersion(commitSha));
+    core.info(`Cached ${repo}@${commitSha} at ${cachedDir}`);
+  }
+  return prepareActionDir(extractedFolder, { repo, ref, subPath, commitSha });
 }
 
-async function runActionWithWitness(actionDir, witnessOptions) {
-  let {
-    step,
-    archivistaServer,
-    attestations,
-    certificate,
-    enableArchivista,
-    fulcio,
-    fulcioOidcClientId,
-    fulcioOidcIssuer,
-    fulcioToken,
-    intermediates,
-    key,
-    outfile,
-    productExcludeGlob,
-    productIncludeGlob,
-    spiffeSocket,
-    timestampServers,
-    trace,
-    enableSigstore,
-    exportLink,
-    exportSBOM,
-    exportSLSA,
-    mavenPOM,
-  } = witnessOptions;
-
-  // Read the nested action metadata (action.yml or action.yaml)
+// Actions are cached per repository, with the commit SHA as the version. The tool cache only
+// finds semver versions, so the SHA becomes a prerelease of 0.0.0.
+function actionCacheName(repo) {
+  return `action-${repo.replace("/", "__")}`;
+}
+
+function actionCacheVersion(commitSha) {
+  return `0.0.0-g${commitSha}`;
+}
+
+// Return a working copy of the cached repo@commitSha, or an empty string. Cached actions are
+// never run in place: the action, npm lifecycle scripts of its dependency install and
+// anything else working in its directory only ever change this run's copy.
+function copyCachedAction(repo, commitSha) {
+  const cachedDir = tc.find(actionCacheName(repo), actionCacheVersion(commitSha));
+  if (!cachedDir) {
+    return "";
+  }
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "nested-action-"));
+  fs.cpSync(cachedDir, workDir, { recursive: true, verbatimSymlinks: true });
+  core.info(`Using cached action ${repo}@${commitSha} from ${cachedDir}, copied to ${workDir}`);
+  return workDir;
+}
+
+// Locate the action inside an extracted (or copied from the cache) repository and record its source.
+function prepareActionDir(repoDir, { repo, ref, subPath, commitSha }) {
+  // Monorepo actions live in a subdirectory of the archive. `..` segments must not leave it;
+  // a directory merely starting with ".." is fine.
+  const actionDir = subPath ? path.join(repoDir, subPath) : repoDir;
+  const relative = path.relative(repoDir, actionDir);
+  if (relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`Action path '${subPath}' points outside of ${repo}`);
+  }
+  if (!hasActionMetadata(actionDir)) {
+    throw new Error(`No action.yml or action.yaml found at '${subPath || "/"}' in ${repo}@${ref}`);
+  }
+
+  // Recorded by witness as a material, since the action directory is its working directory.
+  const digestFile = path.join(repoDir, ACTION_ARCHIVE_DIGEST_FILE);
+  const archiveSha256 = fs.existsSync(digestFile) ? fs.readFileSync(digestFile, "utf8").trim() : null;
+  fs.writeFileSync(
+    path.join(actionDir, ACTION_SOURCE_MATERIAL_FILE),
+    JSON.stringify({ repository: repo, path: subPath || "", ref, commit: commitSha, archiveSha256 }, null, 2) + "\n"
+  );
+  return { actionDir, commitSha };
+}
+
+async function downloadArchive(url, destination) {
+  const response = await axios({
+    url,
+    method: "GET",
+    responseType: "stream",
+    validateStatus: status => status >= 200 && status < 300,
+    maxRedirects: 5
+  });
+  await new Promise((resolve, reject) => {
+    response.data.pipe(fs.createWriteStream(destination)).on("close", resolve).on("error", reject);
+  });
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+// Run the nested action under witness. Without `inputs` the action receives the wrapper's
+// own inputs; with them (a `with:` map from a steps file) it only receives those.
+async function runActionWithWitness(actionDir, witnessOptions, inputs) {
+  const actionConfig = loadActionConfig(actionDir);
+  const using = actionConfig.runs && actionConfig.runs.using;
+  core.info(`Nested action runs using: ${using}`);
+
+  let envVars;
+  if (inputs) {
+    envVars = {};
+    for (const [name, value] of Object.entries(process.env)) {
+      if (!name.startsWith("INPUT_")) envVars[name] = value;
+    }
+    for (const [name, value] of Object.entries(inputs)) {
+      envVars[inputEnvName(name)] = String(value);
+    }
+  } else {
+    // Build environment by merging process.env (ensuring all INPUT_* variables pass)
+    envVars = { ...process.env };
+    applyPrefixedInputs(envVars);
+  }
+  applyActionInputs(actionDir, actionConfig, envVars);
+
+  // Give the nested action its own file commands and re-emit what it wrote afterwards, so
+  // the wrapper behaves like a plain `uses:` of the nested action.
+  const commandFiles = createCommandFiles();
+  Object.assign(envVars, commandFiles);
+  try {
+    return await executeActionWithWitness(actionDir, actionConfig, envVars, witnessOptions);
+  } finally {
+    propagateCommandFiles(commandFiles);
+  }
+}
+
+async function executeActionWithWitness(actionDir, actionConfig, envVars, witnessOptions) {
+  const using = actionConfig.runs && actionConfig.runs.using;
+  if (using === "composite") {
+    if (witnessOptions.compositeStepAttestations) {
+      // One attestation per composite step: every step is wrapped by its own witness run.
+      const invoke = (commandArgs, execOptions, label) =>
+        runWithWitness(commandArgs, stepWitnessOptions(witnessOptions, label), execOptions);
+      return executeCompositeSteps(actionDir, actionConfig, envVars, invoke, "");
+    }
+    // One attestation for the whole composite: witness wraps a second instance of this
+    // script, which executes the steps directly (see runNestedActionChild).
+    envVars[NESTED_ACTION_DIR_ENV] = actionDir;
+    return runWithWitness([process.execPath, __filename], witnessOptions, { cwd: actionDir, env: envVars });
+  }
+
+  if (using === "docker") {
+    const workDir = createDockerWorkDir(actionDir);
+    const dockerArgs = await prepareDockerAction(actionDir, actionConfig, envVars, workDir);
+    return runWithWitness(dockerArgs, witnessOptions, { cwd: workDir, env: envVars });
+  }
+
+  const runs = actionConfig.runs || {};
+  if ((runs.pre || runs.post) && !witnessOptions.lifecycleStepAttestations) {
+    // Include the pre and post scripts in the main attestation.
+    envVars[NESTED_ACTION_DIR_ENV] = actionDir;
+    return runWithWitness([process.execPath, __filename], witnessOptions, { cwd: actionDir, env: envVars });
+  }
+  const invoke = (commandArgs, execOptions, label) =>
+    runWithWitness(commandArgs, label ? stepWitnessOptions(witnessOptions, label) : witnessOptions, execOptions);
+  return executeNodeAction(actionDir, actionConfig, envVars, invoke, "");
+}
+
+// Create empty GITHUB_OUTPUT, GITHUB_ENV and GITHUB_PATH files for a nested action or step.
+function createCommandFiles() {
+  const commandDir = fs.mkdtempSync(path.join(os.tmpdir(), "nested-commands-"));
+  const files = {
+    GITHUB_OUTPUT: path.join(commandDir, "output"),
+    GITHUB_ENV: path.join(commandDir, "env"),
+    GITHUB_PATH: path.join(commandDir, "path"),
+  };
+  for (const file of Object.values(files)) {
+    fs.writeFileSync(file, "");
+  }
+  return files;
+}
+
+function readPathCommands(pathFile) {
+  return fs.readFileSync(pathFile, "utf8").split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+}
+
+// Re-emit the outputs, environment variables and PATH entries the nested action wrote as
+// the wrapper's own, so later workflow steps see them.
+function propagateCommandFiles(commandFiles) {
+  try {
+    for (const [name, value] of Object.entries(parseFileCommands(fs.readFileSync(commandFiles.GITHUB_OUTPUT, "utf8")))) {
+      core.info(`Nested action output: ${name}`);
+      core.setOutput(name, value);
+    }
+    for (const [name, value] of Object.entries(parseFileCommands(fs.readFileSync(commandFiles.GITHUB_ENV, "utf8")))) {
+      core.info(`Nested action exported environment variable: ${name}`);
+      core.exportVariable(name, value);
+    }
+    for (const entry of readPathCommands(commandFiles.GITHUB_PATH)) {
+      core.info(`Nested action added to PATH: ${entry}`);
+      core.addPath(entry);
+    }
+  } catch (error) {
+    core.warning(`Could not propagate nested action outputs: ${error.message}`);
+  }
+}
+
+// Append a value to a file command file using the multiline delimiter format.
+function appendFileCommand(file, name, value) {
+  const delimiter = `ghadelimiter_${crypto.randomUUID()}`;
+  fs.appendFileSync(file, `${name}<<${delimiter}\n${value}\n${delimiter}\n`);
+}
+
+// Read the nested action metadata (action.yml or action.yaml)
+function loadActionConfig(actionDir) {
   const actionYmlPath = path.join(actionDir, "action.yml");
   const actionYamlPath = path.join(actionDir, "action.yaml");
-  let actionConfig;
   if (fs.existsSync(actionYmlPath)) {
-    actionConfig = yaml.load(fs.readFileSync(actionYmlPath, "utf8"));
+    return yaml.load(fs.readFileSync(actionYmlPath, "utf8"));
   } else if (fs.existsSync(actionYamlPath)) {
-    actionConfig = yaml.load(fs.readFileSync(actionYamlPath, "utf8"));
-  } else {
-    throw new Error(`Neither action.yml nor action.yaml found in ${actionDir}`);
+    return yaml.load(fs.readFileSync(actionYamlPath, "utf8"));
   }
+  throw new Error(`Neither action.yml nor action.yaml found in ${actionDir}`);
+}
+
+// Resolve the entry point of a JavaScript action and install its dependencies.
+async function prepareNodeAction(actionDir, actionConfig) {
   const entryPoint = actionConfig.runs && actionConfig.runs.main;
   if (!entryPoint) {
     throw new Error("Entry point (runs.main) not defined in action metadata");
   }
   core.info(`Nested action entry point: ${entryPoint}`);
 
-  const entryFile = path.join(actionDir, entryPoint);
-  if (!fs.existsSync(entryFile)) {
-    throw new Error(`Entry file ${entryFile} does not exist.`);
-  }
-
-  // Optionally install dependencies if package.json exists
-  const pkgJsonPath = path.join(actionDir, "package.json");
-  if (fs.existsSync(pkgJsonPath)) {
-    core.info("Installing dependencies for nested action...");
-    await exec.exec("npm", ["install"], { cwd: actionDir });
+  for (const script of [actionConfig.runs.pre, entryPoint, actionConfig.runs.post]) {
+    if (script && !fs.existsSync(path.join(actionDir, script))) {
+      throw new Error(`Entry file ${path.join(actionDir, script)} does not exist.`);
+    }
   }
+  const entryFile = path.join(actionDir, entryPoint);
 
-  // Build environment by merging process.env (ensuring all INPUT_* variables pass)
-  const envVars = { ...process.env };
-  // (Optionally, override specific inputs explicitly if needed)
-  // For example:
-  // envVars["INPUT_WHO-TO-GREET"] = core.getInput("who-to-greet");
+  await installNodeDependencies(actionDir, actionConfig);
+  return entryFile;
+}
 
-  // Build the witness command argument array.
-  const cmd = ["run"];
-  if (enableSigstore) {
-    fulcio = fulcio || "https://fulcio.sigstore.dev";
-    fulcioOidcClientId = fulcioOidcClientId || "sigstore";
-    fulcioOidcIssuer = fulcioOidcIssuer || "https://oauth2.sigstore.dev/auth";
-    timestampServers = "https://freetsa.org/tsr " + timestampServers;
+// Install the dependencies of a JavaScript action, unless it ships them: bundled actions
+// run from dist/, and node_modules may be committed. The action directory is this run's own
+// copy, never the tool cache. A lockfile means `npm ci`.
+async function installNodeDependencies(actionDir, actionConfig) {
+  if (!fs.existsSync(path.join(actionDir, "package.json"))) {
+    return;
   }
-  if (attestations.length) {
-    attestations.forEach((attestation) => {
-      attestation = attestation.trim();
-      if (attestation.length > 0) {
-        cmd.push(`-a=${attestation}`);
-      }
-    });
+  const scripts = [actionConfig.runs.pre, actionConfig.runs.main, actionConfig.runs.post].filter((script) => script);
+  if (scripts.every((script) => path.normalize(script).split(path.sep)[0] === "dist")) {
+    core.info("Nested action is bundled in dist/, skipping dependency installation");
+    return;
   }
-  if (exportLink) cmd.push(`--attestor-link-export`);
-  if (exportSBOM) cmd.push(`--attestor-sbom-export`);
-  if (exportSLSA) cmd.push(`--attestor-slsa-export`);
-  if (mavenPOM) cmd.push(`--attestor-maven-pom-path=${mavenPOM}`);
-  if (certificate) cmd.push(`--certificate=${certificate}`);
-  if (enableArchivista) cmd.push(`--enable-archivista=${enableArchivista}`);
-  if (archivistaServer) cmd.push(`--archivista-server=${archivistaServer}`);
-  if (fulcio) cmd.push(`--signer-fulcio-url=${fulcio}`);
-  if (fulcioOidcClientId) cmd.push(`--signer-fulcio-oidc-client-id=${fulcioOidcClientId}`);
-  if (fulcioOidcIssuer) cmd.push(`--signer-fulcio-oidc-issuer=${fulcioOidcIssuer}`);
-  if (fulcioToken) cmd.push(`--signer-fulcio-token=${fulcioToken}`);
-  if (intermediates.length) {
-    intermediates.forEach((intermediate) => {
-      intermediate = intermediate.trim();
-      if (intermediate.length > 0) {
-        cmd.push(`-i=${intermediate}`);
-      }
-    });
+  if (fs.existsSync(path.join(actionDir, "node_modules"))) {
+    core.info("Nested action already has node_modules, skipping dependency installation");
+    return;
   }
-  if (key) cmd.push(`--key=${key}`);
-  if (productExcludeGlob) cmd.push(`--attestor-product-exclude-glob=${productExcludeGlob}`);
-  if (productIncludeGlob) cmd.push(`--attestor-product-include-glob=${productIncludeGlob}`);
-  if (spiffeSocket) cmd.push(`--spiffe-socket=${spiffeSocket}`);
-  if (step) cmd.push(`-s=${step}`);
-  if (timestampServers) {
-    timestampServers.split(" ").forEach((ts) => {
-      ts = ts.trim();
-      if (ts.length > 0) {
-        cmd.push(`--timestamp-servers=${ts}`);
-      }
-    });
+  const hasLockfile = ["package-lock.json", "npm-shrinkwrap.json"].some((file) => fs.existsSync(path.join(actionDir, file)));
+  const args = [hasLockfile ? "ci" : "install"];
+  if (process.env[NPM_IGNORE_SCRIPTS_ENV] === "true") {
+    args.push("--ignore-scripts");
   }
-  if (trace) cmd.push(`--trace=${trace}`);
-  if (outfile) cmd.push(`--outfile=${outfile}`);
+  core.info(`Installing dependencies for nested action with npm ${args.join(" ")}...`);
+  await exec.exec("npm", args, { cwd: actionDir });
+}
 
-  // Build argument array for the nested action execution
-  const nodeCmd = "node";
-  const nodeArgs = [entryFile];
-  const args = [...cmd, "--", nodeCmd, ...nodeArgs];
-  core.info(`Running witness command: witness ${args.join(" ")}`);
+// Run the pre, main and post scripts of a JavaScript action in order, as the runner does.
+// `pre-if` and `post-if` default to always(); post also runs when main failed. State saved
+// with core.saveState is handed to later phases through STATE_* variables.
+async function executeNodeAction(actionDir, actionConfig, env, invoke, label) {
+  const entryFile = await prepareNodeAction(actionDir, actionConfig);
+  const runs = actionConfig.runs;
+  const nodeRuntime = await resolveNodeRuntime(runs.using);
+  await recordNodeRuntime(actionConfig.name || path.basename(actionDir), runs.using, nodeRuntime.version);
+  const contexts = buildExpressionContexts(actionDir, actionConfig, env);
+
+  // Give the nested action its own state file so its state never mixes with the wrapper's.
+  const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nested-state-")), "state");
+  fs.writeFileSync(stateFile, "");
+  const phaseEnv = { ...env, GITHUB_STATE: stateFile };
 
-  const execOptions = {
-    cwd: actionDir,
-    env: envVars,
-    listeners: {
-      stdout: (data) => process.stdout.write(data.toString()),
-      stderr: (data) => process.stderr.write(data.toString())
+  let output = "";
+  const runPhase = async (phase, scriptFile) => {
+    const phaseLabel = phase === "main" ? label : label ? `${label}-${phase}` : phase;
+    core.info(`Running ${phase} script of nested action: ${scriptFile}`);
+    const phaseOutput = await invoke([nodeRuntime.nodePath, scriptFile], { cwd: actionDir, env: phaseEnv }, phaseLabel);
+    output += phaseOutput;
+    for (const [name, value] of Object.entries(collectSavedState(stateFile, phaseOutput))) {
+      phaseEnv[`STATE_${name}`] = value;
     }
   };
 
-  let output = "";
-  // Directly call the witness binary without using a shell.
-  await exec.exec("witness", args, {
-    ...execOptions,
-    listeners: {
-      ...execOptions.listeners,
-      stdout: (data) => {
-        output += data.toString();
-        process.stdout.write(data.toString());
-      },
-      stderr: (data) => {
-        output += data.toString();
-        process.stderr.write(data.toString());
+  if (runs.pre) {
+    if (evaluateCondition(runs["pre-if"] || "always()", contexts, "success")) {
+      await runPhase("pre", path.join(actionDir, runs.pre));
+    } else {
+      core.info(`Skipping pre script: pre-if '${runs["pre-if"]}' evaluated to false`);
+    }
+  }
+
+  let mainError = null;
+  try {
+    await runPhase("main", entryFile);
+  } catch (error) {
+    mainError = error;
+  }
+
+  if (runs.post) {
+    if (evaluateCondition(runs["post-if"] || "always()", contexts, mainError ? "failure" : "success")) {
+      try {
+        await runPhase("post", path.join(actionDir, runs.post));
+      } catch (error) {
+        if (!mainError) throw error;
+        core.warning(`Post script failed after main failure: ${error.message}`);
       }
+    } else {
+      core.info(`Skipping post script: post-if '${runs["post-if"]}' evaluated to false`);
     }
-  });
+  }
+
+  if (mainError) throw mainError;
   return output;
 }
 
+// Resolve the Node.js binary for a `runs.using: nodeXX` value. The running node is used
+// when its major version matches; otherwise the latest release of that major version is
+// downloaded from the Node.js mirror, verified against its SHASUMS256.txt and kept in the
+// tool cache, like the witness binary.
+async function resolveNodeRuntime(using) {
+  const runtimeMatch = String(using).match(/^node(\d+)$/);
+  if (!runtimeMatch) {
+    throw new Error(`Unsupported runtime '${using}' (runs.using). Expected node12, node16, node20, node24, composite or docker`);
+  }
+  const major = runtimeMatch[1];
+  if (process.versions.node.split(".")[0] === major) {
+    core.info(`Using current Node.js v${process.versions.node} for ${using}`);
+    return { version: process.versions.node, nodePath: process.execPath };
+  }
 
-async function runDirectCommandWithWitness(command, witnessOptions) {
-  let {
-    step,
-    archivistaServer,
-    attestations,
-    certificate,
-    enableArchivista,
-    fulcio,
-    fulcioOidcClientId,
-    fulcioOidcIssuer,
-    fulcioToken,
-    intermediates,
-    key,
-    outfile,
-    productExcludeGlob,
-    productIncludeGlob,
-    spiffeSocket,
-    timestampServers,
-    trace,
-    enableSigstore,
-    exportLink,
-    exportSBOM,
-    exportSLSA,
-    mavenPOM,
-  } = witnessOptions;
-  const cmd = ["run"];
-  if (enableSigstore) {
-    fulcio = fulcio || "https://fulcio.sigstore.dev";
-    fulcioOidcClientId = fulcioOidcClientId || "sigstore";
-    fulcioOidcIssuer = fulcioOidcIssuer || "https://oauth2.sigstore.dev/auth";
-    timestampServers = "https://freetsa.org/tsr " + timestampServers;
+  let nodeDir = tc.find("node", `${major}.x`);
+  console.log("Cached Node.js Path: " + nodeDir);
+  if (!nodeDir) {
+    const { nodeBaseUrl, offlineDir } = getDownloadConfig();
+    if (offlineDir) {
+      throw new Error(`Offline mode: ${using} needs Node.js ${major}.x, which is not in the tool cache`);
+    }
+    const version = await latestNodeVersion(major, nodeBaseUrl);
+    const platform = process.platform === "win32" ? "win" : process.platform;
+    const arch = NODE_ARCHES[process.arch] || process.arch;
+    const folder = `node-v${version}-${platform}-${arch}`;
+    const assetName = `${folder}.${process.platform === "win32" ? "zip" : "tar.gz"}`;
+    console.log(`Node.js ${version} not found in cache, downloading now`);
+    const nodeArchive = await tc.downloadTool(`${nodeBaseUrl}/v${version}/${assetName}`);
+    // Nothing is extracted or cached unless the archive passes verification.
+    await verifyNodeArchive(nodeArchive, assetName, version, nodeBaseUrl);
+    const extractedDir = process.platform === "win32" ? await tc.extractZip(nodeArchive) : await tc.extractTar(nodeArchive);
+    nodeDir = await tc.cacheDir(path.join(extractedDir, folder), "node", version);
+    console.log("Node.js cached at: " + nodeDir);
   }
-  if (attestations.length) {
-    attestations.forEach((attestation) => {
-      attestation = attestation.trim();
-      if (attestation.length > 0) {
-        cmd.push(`-a=${attestation}`);
-      }
-    });
+
+  // Tool cache layout is <root>/node/<version>/<arch>
+  const version = path.basename(path.dirname(nodeDir));
+  const nodePath = process.platform === "win32" ? path.join(nodeDir, "node.exe") : path.join(nodeDir, "bin", "node");
+  core.info(`Using Node.js v${version} for ${using}`);
+  return { version, nodePath };
+}
+
+async function latestNodeVersion(major, nodeBaseUrl) {
+  const response = await axios.get(`${nodeBaseUrl}/index.json`);
+  const release = response.data.find((entry) => entry.version.startsWith(`v${major}.`));
+  if (!release) {
+    throw new Error(`No Node.js release found for major version ${major}`);
   }
-  if (exportLink) cmd.push(`--attestor-link-export`);
-  if (exportSBOM) cmd.push(`--attestor-sbom-export`);
-  if (exportSLSA) cmd.push(`--attestor-slsa-export`);
-  if (mavenPOM) cmd.push(`--attestor-maven-pom-path=${mavenPOM}`);
-  if (certificate) cmd.push(`--certificate=${certificate}`);
-  if (enableArchivista) cmd.push(`--enable-archivista=${enableArchivista}`);
-  if (archivistaServer) cmd.push(`--archivista-server=${archivistaServer}`);
-  if (fulcio) cmd.push(`--signer-fulcio-url=${fulcio}`);
-  if (fulcioOidcClientId) cmd.push(`--signer-fulcio-oidc-client-id=${fulcioOidcClientId}`);
-  if (fulcioOidcIssuer) cmd.push(`--signer-fulcio-oidc-issuer=${fulcioOidcIssuer}`);
-  if (fulcioToken) cmd.push(`--signer-fulcio-token=${fulcioToken}`);
-  if (intermediates.length) {
-    intermediates.forEach((intermediate) => {
-      intermediate = intermediate.trim();
-      if (intermediate.length > 0) {
-        cmd.push(`-i=${intermediate}`);
-      }
-    });
+  return release.version.substring(1);
+}
+
+// Check a Node.js archive's SHA-256 against the SHASUMS256.txt published with the release.
+async function verifyNodeArchive(nodeArchive, assetName, version, nodeBaseUrl) {
+  const actualSha256 = await sha256File(nodeArchive);
+  let checksumsFile;
+  try {
+    checksumsFile = await tc.downloadTool(`${nodeBaseUrl}/v${version}/SHASUMS256.txt`);
+  } catch (error) {
+    throw new Error(`Could not fetch SHASUMS256.txt to verify Node.js ${version} (${error.message})`);
   }
-  if (key) cmd.push(`--key=${key}`);
-  if (productExcludeGlob) cmd.push(`--attestor-product-exclude-glob=${productExcludeGlob}`);
-  if (productIncludeGlob) cmd.push(`--attestor-product-include-glob=${productIncludeGlob}`);
-  if (spiffeSocket) cmd.push(`--spiffe-socket=${spiffeSocket}`);
-  if (step) cmd.push(`-s=${step}`);
-  if (timestampServers) {
-    timestampServers.split(" ").forEach((ts) => {
-      ts = ts.trim();
-      if (ts.length > 0) {
-        cmd.push(`--timestamp-servers=${ts}`);
-      }
-    });
+  const entry = fs.readFileSync(checksumsFile, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().split(/\s+/))
+    .find((fields) => fields.length === 2 && fields[1].replace(/^\*/, "") === assetName);
+  if (!entry) {
+    throw new Error(`${assetName} is not listed in SHASUMS256.txt of Node.js ${version}`);
   }
-  if (trace) cmd.push(`--trace=${trace}`);
-  if (outfile) cmd.push(`--outfile=${outfile}`);
-  
-  const commandArray = command.match(/(?:[^\s"]+|"[^"]*")+/g) || [command];
-  const runArray = ["witness", ...cmd, "--", ...commandArray];
-  const commandString = runArray.join(" ");
-  core.info(`Running witness command: ${commandString}`);
-  
-  const execOptions = {
-    cwd: process.env.GITHUB_WORKSPACE || process.cwd(),
-    env: process.env,
-    listeners: {
-      stdout: data => process.stdout.write(data.toString()),
-      stderr: data => process.stderr.write(data.toString())
+  if (entry[0].toLowerCase() !== actualSha256) {
+    throw new Error(`Node.js archive digest mismatch: SHASUMS256.txt lists ${entry[0].toLowerCase()}, got ${actualSha256}`);
+  }
+  console.log(`Node.js archive ${assetName} verified`);
+}
+
+async function recordNodeRuntime(actionName, using, version) {
+  try {
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      await core.summary.addRaw(`Node.js runtime for <code>${escapeHtml(actionName)}</code> (${using}): v${version}`, true).write();
     }
-  };
-  let output = '';
-  await exec.exec('sh', ['-c', commandString], {
-    ...execOptions,
-    listeners: {
-      ...execOptions.listeners,
-      stdout: data => { output += data.toString(); process.stdout.write(data.toString()); },
-      stderr: data => { output += data.toString(); process.stderr.write(data.toString()); }
+  } catch (error) {
+    core.warning(`Could not write to GitHub step summary: ${error.message}`);
+  }
+}
+
+// Read (and reset) the state a phase saved, from the GITHUB_STATE file and from legacy
+// `::save-state` commands in its output.
+function collectSavedState(stateFile, phaseOutput) {
+  const state = parseFileCommands(fs.readFileSync(stateFile, "utf8"));
+  fs.writeFileSync(stateFile, "");
+  for (const match of phaseOutput.matchAll(/^::save-state name=([^:]+)::(.*)$/gm)) {
+    state[match[1]] = match[2];
+  }
+  return state;
+}
+
+// Parse a file command file (GITHUB_STATE, GITHUB_OUTPUT, ...) with `name=value` lines and
+// `name<<DELIMITER` multiline values.
+function parseFileCommands(content) {
+  const values = {};
+  const lines = content.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.length === 0) continue;
+    const heredoc = line.match(/^([^=]+?)<<(.+)$/);
+    const equalsIndex = line.indexOf("=");
+    if (heredoc && (equalsIndex === -1 || equalsIndex > line.indexOf("<<"))) {
+      const delimiter = heredoc[2];
+      const valueLines = [];
+      i++;
+      while (i < lines.length && lines[i] !== delimiter) {
+        valueLines.push(lines[i]);
+        i++;
+      }
+      if (i >= lines.length) {
+        throw new Error(`Matching delimiter '${delimiter}' not found for '${heredoc[1]}'`);
+      }
+      values[heredoc[1]] = valueLines.join("\n");
+    } else if (equalsIndex > 0) {
+      values[line.substring(0, equalsIndex)] = line.substring(equalsIndex + 1);
+    } else {
+      throw new Error(`Invalid file command line: ${line}`);
     }
-  });
-  return output;
+  }
+  return values;
 }
 
-function parseActionRef(refString) {
-  const parts = refString.split("@");
-  if (parts.length !== 2) {
-    throw new Error("Invalid action-ref format. Expected 'owner/repo@ref'");
-  }
-  return parts;
-}
-
-run()
-  .then(() => {
-    core.debug('Action wrapper completed successfully');
-    setTimeout(() => {
-      core.debug('Forcing process exit to prevent hanging');
-      process.exit(0);
-    }, 500);
-  })
-  .catch(error => {
-    core.setFailed(`Action wrapper failed: ${error.message}`);
-    setTimeout(() => {
-      core.debug('Forcing process exit to prevent hanging');
-      process.exit(1);
-    }, 500);
-  });
+/**
+ * Options for a `witness run` invocation, as read from the action inputs.
+ *
+ * @typedef {Object} WitnessRunOptions
+ * @property {string} step Step name recorded in the attestation.
+ * @property {string[]} attestations Attestor names.
+ * @property {string} outfile Path the signed attestation envelope is written to.
+ * @property {boolean} enableArchivista Upload the attestation to Archivista (done by the wrapper, not witness run).
+ * @property {string} archivistaServer Archivista URL.
+ * @property {string} key Path to a signing key.
+ * @property {string} keyPem PEM content of a signing key, written to `key` before witness runs.
+ * @property {string} certificate Path to the certificate for the signing key.
+ * @property {string} certificatePem PEM content of the certificate, written to `certificate`.
+ * @property {string} kmsRef KMS key reference (`awskms://`, `gcpkms://`, `azurekms://` or `hashivault://`).
+ * @property {string} kmsHashType Hash algorithm used with the KMS key.
+ * @property {string[]} intermediates Paths to intermediate certificates.
+ * @property {boolean} enableSigstore Sign with the public Sigstore instance.
+ * @property {string} fulcio Fulcio URL.
+ * @property {string} fulcioOidcClientId Fulcio OIDC client ID.
+ * @property {string} fulcioOidcIssuer Fulcio OIDC issuer.
+ * @property {string} fulcioToken Token presented to Fulcio.
+ * @property {string} fulcioTokenPath File witness reads the Fulcio token from, kept fresh by the wrapper.
+ * @property {boolean} useGitHubOidc Request `fulcioToken` from GitHub Actions OIDC (Sigstore without `fulcio-token`).
+ * @property {string} oidcAudience Audience of the GitHub Actions OIDC token.
+ * @property {string} spiffeSocket Path to a SPIFFE workload API socket.
+ * @property {string} timestampServers Space-separated timestamp server URLs.
+ * @property {string} productExcludeGlob Glob of products to exclude.
+ * @property {string} productIncludeGlob Glob of products to include.
+ * @property {string} trace Enable tracing.
+ * @property {boolean} exportLink Export the link attestor as its own attestation.
+ * @property {boolean} exportSBOM Export the SBOM attestor as its own attestation.
+ * @property {boolean} exportSLSA Export the SLSA attestor as its own attestation.
+ * @property {string} mavenPOM Path to the Maven POM.
+ * @property {string[]} extraArgs Arguments passed to `witness run` as-is.
+ * @property {boolean} attestFailedCommands Run commands under the exit code recorder so failed commands are attested too.
+ */
+
+function getWitnessOptions() {
+  const step = core.getInput("step");
+  const fulcioToken = core.getInput("fulcio-token");
+  if (fulcioToken) {
+    // Keep the token out of the log, including the command lines printed by exec.
+    core.setSecret(fulcioToken);
+  }
+  const keyPem = core.getInput("key-pem");
+  if (keyPem) {
+    // The runner masks line by line, so register every line of the key body as well.
+    core.setSecret(keyPem);
+    keyPem
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0 && !line.startsWith("-----"))
+      .forEach((line) => core.setSecret(line));
+  }
+  return {
+    step,
+    archivistaServer: core.getInput("archivista-server"),
+    attestations: core.getInput("attestations").split(" "),
+    certificate: core.getInput("certificate"),
+    enableArchivista: core.getInput("enable-archivista") === "true",
+    fulcio: core.getInput("fulcio"),
+    fulcioOidcClientId: core.getInput("fulcio-oidc-client-id"),
+    fulcioOidcIssuer: core.getInput("fulcio-oidc-issuer"),
+    fulcioToken,
+    intermediates: core.getInput("intermediates").split(" "),
+    key: core.getInput("key"),
+    keyPem,
+    certificatePem: core.getInput("certificate-pem"),
+    kmsRef: core.getInput("kms-ref"),
+    kmsHashType: core.getInput("kms-hash-type"),
+    outfile: core.getInput("outfile") || path.join(os.tmpdir(), step + "-attestation.json"),
+    productExcludeGlob: core.getInput("product-exclude-glob"),
+    productIncludeGlob: core.getInput("product-include-glob"),
+    spiffeSocket: core.getInput("spiffe-socket"),
+    timestampServers: core.getInput("timestamp-servers"),
+    trace: core.getInput("trace"),
+    enableSigstore: core.getInput("enable-sigstore") === "true",
+    useGitHubOidc: core.getInput("enable-sigstore") === "true" && !fulcioToken,
+    oidcAudience: core.getInput("oidc-audience") || "sigstore",
+    exportLink: core.getInput("attestor-link-export") === "true",
+    exportSBOM: core.getInput("attestor-sbom-export") === "true",
+    exportSLSA: core.getInput("attestor-slsa-export") === "true",
+    mavenPOM: core.getInput("attestor-maven-pom-path"),
+    extraArgs: splitShellWords(core.getInput("extra-args"), "extra-args"),
+    compositeStepAttestations: core.getInput("composite-step-attestations") === "true",
+    lifecycleStepAttestations: core.getInput("lifecycle-step-attestations") === "true",
+    timeoutMinutes: parseTimeoutMinutes(core.getInput("timeout-minutes") || "30"),
+    attestFailedCommands: core.getInput("attest-failed-commands") === "true",
+    // Every witness run appends the attestation file it wrote.
+    attestationFiles: [],
+  };
+}
+
+/**
+ * Write `key-pem` and `certificate-pem` to files in a private temporary directory and point
+ * `key` and `certificate` at them.
+ *
+ * @param {WitnessRunOptions} options
+ * @returns {function(): void} Removes the files again.
+ */
+function writeKeyMaterial(options) {
+  const pems = [
+    ["keyPem", "key", "key.pem"],
+    ["certificatePem", "certificate", "certificate.pem"],
+  ].filter(([source]) => options[source]);
+  if (pems.length === 0) {
+    return () => {};
+  }
+  // mkdtemp creates the directory readable by the current user only.
+  const keyDir = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), "witness-keys-"));
+  for (const [source, target, fileName] of pems) {
+    const file = path.join(keyDir, fileName);
+    const content = options[source].endsWith("\n") ? options[source] : `${options[source]}\n`;
+    fs.writeFileSync(file, content, { mode: 0o600 });
+    options[target] = file;
+    options[source] = "";
+  }
+  return () => fs.rmSync(keyDir, { recursive: true, force: true });
+}
+
+/**
+ * Request a GitHub Actions OIDC token for Fulcio when signing with Sigstore and no
+ * `fulcio-token` was given, and write it to the file witness reads it from
+ * (`--signer-fulcio-token-path`). Called right before every witness run and, while witness
+ * runs, by keepFulcioTokenFresh, so a long action never signs with a stale token. A given
+ * `fulcio-token` is written to the same file once, so it never appears on the command line.
+ *
+ * @param {WitnessRunOptions} options
+ */
+async function refreshFulcioToken(options) {
+  if (options.fulcioToken) {
+    if (!options.fulcioTokenPath) writeFulcioToken(options, options.fulcioToken);
+    return;
+  }
+  if (!options.useGitHubOidc) {
+    return;
+  }
+  let token;
+  try {
+    token = await core.getIDToken(options.oidcAudience);
+  } catch (error) {
+    throw new Error(
+      `Could not get a GitHub Actions OIDC token for Sigstore signing (${error.message}). ` +
+      "Grant the job 'permissions: id-token: write', or pass fulcio-token."
+    );
+  }
+  core.setSecret(token);
+  writeFulcioToken(options, token);
+  options.fulcioTokenExpiry = tokenExpiry(token);
+}
+
+// Write `token` to `options.fulcioTokenPath`, in a private temporary directory removed by
+// the cleanup tasks unless the path is already set.
+function writeFulcioToken(options, token) {
+  if (!options.fulcioTokenPath) {
+    // mkdtemp creates the directory readable by the current user only.
+    const tokenDir = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), "witness-oidc-"));
+    options.fulcioTokenPath = path.join(tokenDir, "token");
+    cleanupTasks.add(() => fs.rmSync(tokenDir, { recursive: true, force: true }));
+  }
+  // Replace the file in one step, so witness never reads a partly written token.
+  const partialFile = `${options.fulcioTokenPath}.partial`;
+  fs.writeFileSync(partialFile, token, { mode: 0o600 });
+  fs.renameSync(partialFile, options.fulcioTokenPath);
+}
+
+/**
+ * Replace the Fulcio token file shortly before the token expires, until the returned
+ * function is called.
+ *
+ * @param {WitnessRunOptions} options
+ * @param {number} [intervalMs] How often the expiry is checked.
+ * @returns {function(): void} Stops refreshing.
+ */
+function keepFulcioTokenFresh(options, intervalMs = FULCIO_TOKEN_CHECK_INTERVAL_MS) {
+  if (!options.useGitHubOidc) {
+    return () => {};
+  }
+  let refreshing = false;
+  const timer = setInterval(() => {
+    if (refreshing || options.fulcioTokenExpiry > Date.now() + FULCIO_TOKEN_REFRESH_MARGIN_MS) {
+      return;
+    }
+    refreshing = true;
+    refreshFulcioToken(options)
+      .catch((error) => core.warning(`Could not refresh the Fulcio token: ${error.message}`))
+      .finally(() => { refreshing = false; });
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
+// Expiry of a JWT in milliseconds, or 0 if it cannot be read.
+function tokenExpiry(token) {
+  try {
+    const claims = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+    return typeof claims.exp === "number" ? claims.exp * 1000 : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Reject option combinations witness would refuse or silently misinterpret.
+ *
+ * @param {WitnessRunOptions} options
+ * @throws {Error} listing every problem found.
+ */
+function validateWitnessOptions(options) {
+  const problems = [];
+  const signers = [];
+  if (options.key || options.keyPem) signers.push("key");
+  if (options.kmsRef) signers.push("kms-ref");
+  if (options.enableSigstore || options.fulcio) signers.push("sigstore/fulcio");
+  if (options.spiffeSocket) signers.push("spiffe-socket");
+  if (signers.length > 1) {
+    problems.push(`only one signer can be used, but ${signers.join(", ")} are configured`);
+  }
+  if (options.key && options.keyPem) {
+    problems.push("key and key-pem cannot both be set");
+  }
+  if (options.certificate && options.certificatePem) {
+    problems.push("certificate and certificate-pem cannot both be set");
+  }
+  if ((options.certificate || options.certificatePem) && !(options.key || options.keyPem)) {
+    problems.push("certificate requires key");
+  }
+  if (options.kmsRef && !KMS_REF_PATTERN.test(options.kmsRef)) {
+    problems.push(`kms-ref must start with awskms://, gcpkms://, azurekms:// or hashivault://, got ${options.kmsRef}`);
+  }
+  if (options.kmsHashType && !options.kmsRef) {
+    problems.push("kms-hash-type requires kms-ref");
+  }
+  if (options.enableArchivista && !options.archivistaServer) {
+    problems.push("enable-archivista requires archivista-server");
+  }
+  const unknown = (options.attestations || [])
+    .map((attestation) => attestation.trim())
+    .filter((attestation) => attestation.length > 0 && !KNOWN_ATTESTORS.includes(attestation));
+  if (unknown.length > 0) {
+    problems.push(`unknown attestor(s): ${unknown.join(", ")} (known attestors: ${KNOWN_ATTESTORS.join(", ")}; pass others with extra-args)`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid witness options: ${problems.join("; ")}`);
+  }
+}
+
+/**
+ * Build the `witness run` arguments (without the wrapped command) for the given options.
+ *
+ * @param {WitnessRunOptions} options
+ * @returns {string[]}
+ */
+function buildWitnessRunArgs(options) {
+  validateWitnessOptions(options);
+  let { fulcio, fulcioOidcClientId, fulcioOidcIssuer, timestampServers } = options;
+  if (options.enableSigstore) {
+    fulcio = fulcio || "https://fulcio.sigstore.dev";
+    fulcioOidcClientId = fulcioOidcClientId || "sigstore";
+    fulcioOidcIssuer = fulcioOidcIssuer || "https://oauth2.sigstore.dev/auth";
+    timestampServers = "https://freetsa.org/tsr " + (timestampServers || "");
+  }
+  const list = (values) => (values || []).map((value) => value.trim()).filter((value) => value.length > 0);
+
+  const cmd = ["run"];
+  list(options.attestations).forEach((attestation) => cmd.push(`-a=${attestation}`));
+  if (options.exportLink) cmd.push(`--attestor-link-export`);
+  if (options.exportSBOM) cmd.push(`--attestor-sbom-export`);
+  if (options.exportSLSA) cmd.push(`--attestor-slsa-export`);
+  if (options.mavenPOM) cmd.push(`--attestor-maven-pom-path=${options.mavenPOM}`);
+  if (options.certificate) cmd.push(`--certificate=${options.certificate}`);
+  if (fulcio) cmd.push(`--signer-fulcio-url=${fulcio}`);
+  if (fulcioOidcClientId) cmd.push(`--signer-fulcio-oidc-client-id=${fulcioOidcClientId}`);
+  if (fulcioOidcIssuer) cmd.push(`--signer-fulcio-oidc-issuer=${fulcioOidcIssuer}`);
+  if (options.fulcioTokenPath) cmd.push(`--signer-fulcio-token-path=${options.fulcioTokenPath}`);
+  list(options.intermediates).forEach((intermediate) => cmd.push(`-i=${intermediate}`));
+  if (options.key) cmd.push(`--key=${options.key}`);
+  if (options.kmsRef) cmd.push(`--signer-kms-ref=${options.kmsRef}`);
+  if (options.kmsHashType) cmd.push(`--signer-kms-hashType=${options.kmsHashType}`);
+  if (options.productExcludeGlob) cmd.push(`--attestor-product-exclude-glob=${options.productExcludeGlob}`);
+  if (options.productIncludeGlob) cmd.push(`--attestor-product-include-glob=${options.productIncludeGlob}`);
+  if (options.spiffeSocket) cmd.push(`--spiffe-socket=${options.spiffeSocket}`);
+  if (options.step) cmd.push(`-s=${options.step}`);
+  list((timestampServers || "").split(" ")).forEach((ts) => cmd.push(`--timestamp-servers=${ts}`));
+  if (options.trace) cmd.push(`--trace=${options.trace}`);
+  if (options.outfile) cmd.push(`--outfile=${options.outfile}`);
+  cmd.push(...(options.extraArgs || []));
+  return cmd;
+}
+
+// Derive the witness options for a single composite step: the step name and outfile get
+// the step label appended so every step produces its own attestation.
+function stepWitnessOptions(witnessOptions, label) {
+  const options = { ...witnessOptions, step: `${witnessOptions.step}-${label}` };
+  if (witnessOptions.outfile) {
+    const ext = path.extname(witnessOptions.outfile);
+    options.outfile = `${witnessOptions.outfile.slice(0, witnessOptions.outfile.length - ext.length)}-${label}${ext}`;
+  }
+  return options;
+}
+
+async function runWithWitness(commandArgs, witnessOptions, { cwd, env }) {
+  const { outfile, witnessBinary, attestationFiles } = witnessOptions;
+  await refreshFulcioToken(witnessOptions);
+  const cmd = buildWitnessRunArgs(witnessOptions);
+  const recorder = exitCodeRecorder(witnessOptions, env);
+  const args = [...cmd, "--", ...recorder.prefix, ...commandArgs];
+  core.info(`Running witness command: ${formatCommandLine(["witness", ...args], witnessSecrets(witnessOptions))}`);
+
+  // Directly call the witness binary without using a shell.
+  const output = await spawnWitness(witnessBinary || "witness", args, { cwd, env: recorder.env }, witnessOptions);
+  if (outfile && attestationFiles) attestationFiles.push(outfile);
+  recorder.check(witnessOptions.step);
+  return output;
+}
+
+// With attest-failed-commands, the command runs under a recorder (this script again, see
+// recordCommandExitCode) that always exits 0, so witness signs an attestation even when the
+// command fails. `check` then fails the step with the command's real exit code. Without it,
+// witness runs the command itself and records its command line unchanged.
+function exitCodeRecorder(witnessOptions, env) {
+  if (!witnessOptions.attestFailedCommands) {
+    return { prefix: [], env, check: () => {} };
+  }
+  const exitCodeDir = fs.mkdtempSync(path.join(os.tmpdir(), "command-exit-code-"));
+  const exitCodeFile = path.join(exitCodeDir, "exit-code");
+  return {
+    prefix: [process.execPath, __filename],
+    env: { ...env, [EXIT_CODE_FILE_ENV]: exitCodeFile },
+    check: (step) => {
+      const exitCode = readRecordedExitCode(exitCodeFile);
+      fs.rmSync(exitCodeDir, { recursive: true, force: true });
+      if (exitCode === null) {
+        throw withFailurePhase(new Error(`The exit code of the command of witness step ${step} was not recorded`), "witness");
+      }
+      if (exitCode !== 0) {
+        throw withFailurePhase(
+          new Error(`Command of witness step ${step} failed with exit code ${exitCode}; its attestation was still created`),
+          "command",
+          exitCode
+        );
+      }
+    },
+  };
+}
+
+// Entry point of the recorder: run the command given as arguments, record the command and
+// its exit code for the wrapper and as a product of the step, and exit 0.
+async function recordCommandExitCode() {
+  const exitCodeFile = process.env[EXIT_CODE_FILE_ENV];
+  const env = { ...process.env };
+  delete env[EXIT_CODE_FILE_ENV];
+  const [file, ...args] = process.argv.slice(2);
+  // A signal stopping witness reaches the command as well; wait for it to record how it ended.
+  process.on("SIGINT", () => {});
+  process.on("SIGTERM", () => {});
+  const exitCode = await new Promise((resolve) => {
+    const child = spawn(file, args, { env, stdio: "inherit" });
+    child.on("error", (error) => {
+      console.error(`Could not start ${file}: ${error.message}`);
+      resolve(127);
+    });
+    child.on("close", (code, signal) => resolve(code !== null ? code : 128 + (os.constants.signals[signal] || 0)));
+  });
+  fs.writeFileSync(
+    path.join(process.cwd(), COMMAND_EXIT_CODE_FILE),
+    JSON.stringify({ command: [file, ...args], exitCode }, null, 2) + "\n"
+  );
+  fs.writeFileSync(exitCodeFile, String(exitCode));
+}
+
+// The exit code the recorder wrote, or null when the command did not finish.
+function readRecordedExitCode(exitCodeFile) {
+  if (!exitCodeFile || !fs.existsSync(exitCodeFile)) {
+    return null;
+  }
+  const exitCode = Number(fs.readFileSync(exitCodeFile, "utf8").trim());
+  return Number.isInteger(exitCode) ? exitCode : null;
+}
+
+// Run witness in its own process group, echoing and collecting its output. It is stopped
+// after `timeoutMinutes`; when a timeout or cancellation stops it, a marker describing the
+// incomplete step is written next to the outfile, since witness writes no attestation then.
+function spawnWitness(file, args, { cwd, env }, witnessOptions) {
+  const { step, outfile, timeoutMinutes } = witnessOptions;
+  return new Promise((resolve, reject) => {
+    const startedAt = new Date().toISOString();
+    const child = spawn(file, args, {
+      cwd,
+      env,
+      detached: process.platform !== "win32",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const record = { child, stopReason: null };
+    activeWitnessProcesses.add(record);
+    const stopRefreshing = keepFulcioTokenFresh(witnessOptions);
+
+    let output = "";
+    child.stdout.on("data", (data) => {
+      output += data.toString();
+      process.stdout.write(data.toString());
+    });
+    child.stderr.on("data", (data) => {
+      output += data.toString();
+      process.stderr.write(data.toString());
+    });
+
+    let timeoutId = null;
+    if (timeoutMinutes > 0) {
+      timeoutId = setTimeout(() => {
+        core.error(`Witness step ${step} timed out after ${timeoutMinutes} minutes`);
+        stopWitnessProcess(record, "timeout", "SIGTERM");
+      }, timeoutMinutes * 60 * 1000);
+    }
+
+    child.on("error", (error) => {
+      clearTimeout(timeoutId);
+      stopRefreshing();
+      activeWitnessProcesses.delete(record);
+      reject(new Error(`Could not start ${file}: ${error.message}`));
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timeoutId);
+      stopRefreshing();
+      activeWitnessProcesses.delete(record);
+      if (record.stopReason) {
+        const failurePhase = record.stopReason === "timeout" ? "timeout" : "cancelled";
+        if (outfile) {
+          fs.writeFileSync(`${outfile}.incomplete.json`, JSON.stringify({
+            step,
+            reason: record.stopReason,
+            startedAt,
+            stoppedAt: new Date().toISOString(),
+          }, null, 2) + "\n");
+        }
+        reject(withFailurePhase(new Error(`Witness step ${step} was stopped (${record.stopReason}) before it completed`), failurePhase));
+      } else if (code !== 0) {
+        // A failed command shows up as the command-run attestor's "exit status N" in witness's
+        // own error message; any other failure is witness's own (options, signing or timestamping).
+        const commandExitCode = commandExitCodeFromWitnessOutput(output);
+        if (commandExitCode) {
+          reject(withFailurePhase(new Error(`Command of witness step ${step} failed with exit code ${commandExitCode}`), "command", commandExitCode));
+        } else {
+          reject(withFailurePhase(new Error(signal
+            ? `The process '${file}' was killed by ${signal}`
+            : `The process '${file}' failed with exit code ${code}`), "witness", code));
+        }
+      } else {
+        resolve(output);
+      }
+    });
+  });
+}
+
+// Witness prints its error last, after the command has exited, so only the final line of its
+// output is considered. Whatever the command printed comes before it and cannot pass for a
+// failed command. Returns null when that line reports no command exit status.
+function commandExitCodeFromWitnessOutput(output) {
+  const lines = output.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  const match = lines.length > 0 ? lines[lines.length - 1].match(/exit status (\d+)/) : null;
+  return match ? Number(match[1]) : null;
+}
+
+// Send `signal` to a witness process group and kill it if it is still running after the
+// grace period. Resolves once the process has exited.
+function stopWitnessProcess(record, reason, signal) {
+  const { child } = record;
+  record.stopReason = record.stopReason || reason;
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve();
+  }
+  const kill = (killSignal) => {
+    try {
+      if (process.platform === "win32") {
+        child.kill(killSignal);
+      } else {
+        process.kill(-child.pid, killSignal);
+      }
+    } catch (error) {
+      core.debug(`Could not send ${killSignal} to witness: ${error.message}`);
+    }
+  };
+  const exited = new Promise((resolve) => child.once("close", resolve));
+  kill(signal);
+  const killTimer = setTimeout(() => kill("SIGKILL"), KILL_GRACE_PERIOD_MS);
+  return exited.then(() => clearTimeout(killTimer));
+}
+
+// Read a DSSE envelope written by witness and decode its in-toto statement.
+function readAttestation(attestationFile) {
+  const content = fs.readFileSync(attestationFile);
+  try {
+    const envelope = JSON.parse(content.toString("utf8"));
+    const statement = JSON.parse(Buffer.from(envelope.payload, "base64").toString("utf8"));
+    return { content, envelope, statement };
+  } catch (error) {
+    throw new Error(`Could not parse attestation envelope ${attestationFile}: ${error.message}`);
+  }
+}
+
+// Decode the values of an attestation that are exposed as outputs.
+function summarizeAttestation(attestationFile) {
+  const { content, envelope, statement } = readAttestation(attestationFile);
+  const predicate = statement.predicate || {};
+  return {
+    file: attestationFile,
+    gitOID: computeGitOID(content),
+    payloadType: envelope.payloadType,
+    predicateType: statement.predicateType,
+    step: predicate.name,
+    subjects: (statement.subject || []).map((subject) => ({ name: subject.name, digest: subject.digest || {} })),
+    attestors: (predicate.attestations || []).map((attestation) => attestation.type),
+    signers: (envelope.signatures || []).map(describeSigner),
+  };
+}
+
+// GitOID of a file, as Archivista computes it: the SHA-256 of a git blob of its content.
+function computeGitOID(content) {
+  return crypto.createHash("sha256").update(`blob ${content.length}\0`).update(content).digest("hex");
+}
+
+function describeSigner(signature) {
+  const signer = { keyId: signature.keyid || "", identity: "", issuer: "" };
+  if (signature.certificate) {
+    try {
+      // Witness stores the PEM certificate as base64-encoded bytes.
+      const certificate = new crypto.X509Certificate(Buffer.from(signature.certificate, "base64"));
+      // Fulcio puts the identity (workflow URI or email) in the subject alternative name.
+      signer.identity = certificate.subjectAltName
+        ? certificate.subjectAltName.split(", ").map((name) => name.replace(/^[A-Za-z ]+:/, "")).join(", ")
+        : certificate.subject;
+      signer.issuer = certificate.issuer;
+    } catch (error) {
+      core.warning(`Could not parse signer certificate: ${error.message}`);
+    }
+  }
+  return signer;
+}
+
+// Render every attestation into the job summary: subjects, products, materials, attestors,
+// signers and timestamps, with the raw predicate collapsed. Archivista links are only
+// added for the GitOIDs in `uploadedGitOIDs`, the attestations this run uploaded.
+async function writeAttestationSummary(summaries, archivista, uploadedGitOIDs = []) {
+  if (!process.env.GITHUB_STEP_SUMMARY || summaries.length === 0) {
+    return;
+  }
+  try {
+    core.summary.addHeading("Attestations Created", 2);
+    for (const summary of summaries) {
+      const { envelope, statement } = readAttestation(summary.file);
+      const collection = (statement.predicate && statement.predicate.attestations) || [];
+      const uploaded = archivista && uploadedGitOIDs.includes(summary.gitOID);
+
+      core.summary.addHeading(`Step: ${escapeHtml(summary.step || "")}`, 3);
+      const gitOIDCell = uploaded
+        ? `<a href="${escapeHtml(`${archivista.server}/download/${summary.gitOID}`)}">${summary.gitOID}</a>`
+        : `<code>${summary.gitOID}</code>`;
+      core.summary.addTable([
+        [{ data: "GitOID", header: true }, gitOIDCell],
+        [{ data: "Predicate type", header: true }, escapeHtml(summary.predicateType || "")],
+        [{ data: "Attestors", header: true }, summary.attestors.map(escapeHtml).join("<br>")],
+        [{ data: "Attestation file", header: true }, `<code>${escapeHtml(summary.file)}</code>`],
+      ]);
+
+      core.summary.addHeading("Subjects", 4);
+      addDigestTable(summary.subjects.map((subject) => [subject.name, subject.digest]), "Subject");
+
+      const products = attestorData(collection, "/product/");
+      if (products) {
+        core.summary.addHeading("Products", 4);
+        addDigestTable(Object.entries(products).map(([name, product]) => [name, product.digest || {}]), "Product");
+      }
+      const materials = attestorData(collection, "/material/");
+      if (materials) {
+        const materialRows = Object.entries(materials).map(([name, digest]) => `<tr><td>${escapeHtml(name)}</td><td>${formatDigests(digest)}</td></tr>`);
+        core.summary.addDetails(
+          `Materials (${materialRows.length})`,
+          `<table><tr><th>Material</th><th>Digest</th></tr>${materialRows.join("")}</table>`
+        );
+      }
+
+      core.summary.addHeading("Signers", 4);
+      core.summary.addTable([
+        [{ data: "Key ID", header: true }, { data: "Identity", header: true }, { data: "Issuer", header: true }, { data: "Timestamps", header: true }],
+        ...(envelope.signatures || []).map((signature, index) => {
+          const signer = summary.signers[index];
+          const timestamps = (signature.timestamps || [])
+            .map((timestamp) => `${escapeHtml(timestamp.type || "timestamp")} (${Buffer.from(timestamp.data || "", "base64").length} bytes)`);
+          return [
+            `<code>${escapeHtml(signer.keyId)}</code>`,
+            escapeHtml(signer.identity),
+            escapeHtml(signer.issuer),
+            timestamps.length > 0 ? timestamps.join("<br>") : "none",
+          ];
+        }),
+      ]);
+
+      core.summary.addDetails("Raw predicate", `<pre>${escapeHtml(JSON.stringify(statement.predicate, null, 2))}</pre>`);
+    }
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Could not write to GitHub step summary: ${error.message}`);
+  }
+}
+
+// The data recorded by the first attestor whose type contains `typeFragment`.
+function attestorData(collection, typeFragment) {
+  const entry = collection.find((attestation) => (attestation.type || "").includes(typeFragment));
+  return entry ? entry.attestation : null;
+}
+
+function addDigestTable(rows, label) {
+  if (rows.length === 0) {
+    core.summary.addRaw("None", true);
+    return;
+  }
+  core.summary.addTable([
+    [{ data: label, header: true }, { data: "Digest", header: true }],
+    ...rows.map(([name, digest]) => [escapeHtml(name), formatDigests(digest)]),
+  ]);
+}
+
+function formatDigests(digests) {
+  return Object.entries(digests || {})
+    .map(([algorithm, value]) => `<code>${escapeHtml(algorithm)}:${escapeHtml(value)}</code>`)
+    .join("<br>");
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Archivista client settings: server, auth and extra headers, mTLS, retries and spool directory.
+function getArchivistaConfig(server) {
+  const headers = parseStringMap(core.getInput("archivista-headers"), "archivista-headers");
+  const token = core.getInput("archivista-token");
+  if (token) {
+    core.setSecret(token);
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const clientCert = core.getInput("archivista-client-cert");
+  const clientKey = core.getInput("archivista-client-key");
+  const caCert = core.getInput("archivista-ca-cert");
+  if (Boolean(clientCert) !== Boolean(clientKey)) {
+    throw new Error("archivista-client-cert and archivista-client-key must be set together");
+  }
+  let httpsAgent;
+  if (clientCert || caCert) {
+    httpsAgent = new https.Agent({
+      cert: clientCert ? fs.readFileSync(clientCert) : undefined,
+      key: clientKey ? fs.readFileSync(clientKey) : undefined,
+      ca: caCert ? fs.readFileSync(caCert) : undefined,
+    });
+  }
+  const retries = Number(core.getInput("archivista-retries") || "3");
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`archivista-retries must be a non-negative integer, got '${core.getInput("archivista-retries")}'`);
+  }
+  return {
+    server: server.replace(/\/+$/, ""),
+    headers,
+    httpsAgent,
+    retries,
+    retryDelayMs: ARCHIVISTA_RETRY_DELAY_MS,
+    spoolDir: core.getInput("archivista-spool-dir"),
+  };
+}
+
+// Upload the new attestations to Archivista. Envelopes spooled by an earlier run are
+// uploaded first. An envelope that still cannot be uploaded is spooled when a spool
+// directory is configured; otherwise uploading stops and the returned `error` fails the
+// step. Returns the GitOIDs that were uploaded and those that were spooled.
+async function uploadAttestations(summaries, archivista) {
+  const { spoolDir } = archivista;
+  if (spoolDir && fs.existsSync(spoolDir)) {
+    for (const spooled of fs.readdirSync(spoolDir).filter((file) => file.endsWith(".json"))) {
+      const spooledFile = path.join(spoolDir, spooled);
+      try {
+        await uploadToArchivista(spooledFile, archivista);
+        fs.rmSync(spooledFile);
+        core.info(`Uploaded spooled attestation ${spooled} to Archivista`);
+      } catch (error) {
+        core.warning(`Spooled attestation ${spooled} is still not uploaded: ${error.message}`);
+      }
+    }
+  }
+
+  const result = { uploaded: [], spooled: [], error: null };
+  for (const summary of summaries) {
+    try {
+      const gitOID = await uploadToArchivista(summary.file, archivista);
+      core.info(`Uploaded ${summary.file} to Archivista as ${gitOID || summary.gitOID}`);
+      result.uploaded.push(summary.gitOID);
+    } catch (error) {
+      if (!spoolDir) {
+        result.error = withFailurePhase(error, "upload");
+        break;
+      }
+      fs.mkdirSync(spoolDir, { recursive: true });
+      fs.copyFileSync(summary.file, path.join(spoolDir, `${summary.gitOID}.json`));
+      core.warning(`${error.message}. Spooled to ${spoolDir} for a later upload`);
+      result.spooled.push(summary.gitOID);
+    }
+  }
+  core.setOutput("spooled_attestations", JSON.stringify(result.spooled));
+  return result;
+}
+
+// POST an envelope to Archivista's upload endpoint, retrying network errors, 429 and 5xx
+// responses with exponential backoff. Returns the GitOID Archivista reports.
+async function uploadToArchivista(attestationFile, archivista) {
+  const body = fs.readFileSync(attestationFile);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(`${archivista.server}/upload`, body, {
+        headers: { "Content-Type": "application/json", ...archivista.headers },
+        httpsAgent: archivista.httpsAgent,
+        timeout: 30000,
+        maxBodyLength: Infinity,
+        validateStatus: status => status >= 200 && status < 300,
+      });
+      return response.data && (response.data.gitoid || response.data.gitOID);
+    } catch (error) {
+      const status = error.response && error.response.status;
+      const retryable = !status || status === 429 || status >= 500;
+      const reason = status ? `status ${status}` : error.message;
+      if (!retryable || attempt >= archivista.retries) {
+        throw new Error(`Upload of ${attestationFile} to Archivista failed (${reason})`);
+      }
+      const delay = archivista.retryDelayMs * 2 ** attempt;
+      core.warning(`Upload of ${attestationFile} to Archivista failed (${reason}), retrying in ${delay / 1000}s`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Download the attestations Archivista holds for `artifact` into a temporary directory and
+// return their files. Like witness verify, the search starts from the artifact's digest and
+// the subjects of the local attestations, then follows the subjects of every envelope found,
+// for up to ARCHIVISTA_SEARCH_DEPTH rounds, so attestations of earlier steps are found too.
+async function fetchArchivistaAttestations(artifact, localFiles, archivista) {
+  const dir = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), "archivista-attestations-"));
+  cleanupTasks.add(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const known = new Set();
+  const searched = new Set();
+  const subjectDigests = (statement) => (statement.subject || [])
+    .map((subject) => subject.digest && subject.digest.sha256)
+    .filter((digest) => digest && !searched.has(digest));
+
+  let digests = [await sha256File(artifact)];
+  for (const file of localFiles) {
+    const { content, statement } = readAttestation(file);
+    known.add(computeGitOID(content));
+    digests.push(...subjectDigests(statement));
+  }
+
+  const files = [];
+  for (let depth = 0; depth < ARCHIVISTA_SEARCH_DEPTH && digests.length > 0; depth++) {
+    digests = [...new Set(digests)];
+    digests.forEach((digest) => searched.add(digest));
+    const found = (await searchArchivista(digests, archivista)).filter((gitOID) => !known.has(gitOID));
+    digests = [];
+    for (const gitOID of found) {
+      known.add(gitOID);
+      const file = path.join(dir, `${gitOID}.json`);
+      fs.writeFileSync(file, await archivistaRequest("get", `/download/${gitOID}`, archivista, { responseType: "arraybuffer" }));
+      files.push(file);
+      digests.push(...subjectDigests(readAttestation(file).statement));
+    }
+  }
+  return files;
+}
+
+// GitOIDs of the envelopes whose statement has a subject with one of the SHA-256 `digests`.
+async function searchArchivista(digests, archivista) {
+  const query = `query($digests: [String!]) {
+    dsses(where: { hasStatementWith: { hasSubjectsWith: { hasSubjectDigestsWith: { algorithm: "sha256", valueIn: $digests } } } }) {
+      edges { node { gitoidSha256 } }
+    }
+  }`;
+  const result = await archivistaRequest("post", "/query", archivista, { data: { query, variables: { digests } } });
+  if (result.errors && result.errors.length > 0) {
+    throw new Error(`Archivista query failed: ${result.errors.map((error) => error.message).join("; ")}`);
+  }
+  return ((result.data && result.data.dsses && result.data.dsses.edges) || []).map((edge) => edge.node.gitoidSha256);
+}
+
+// Send a request to Archivista with the configured headers and mTLS settings and return the
+// response body.
+async function archivistaRequest(method, urlPath, archivista, options = {}) {
+  const response = await axios({
+    method,
+    url: `${archivista.server}${urlPath}`,
+    headers: { ...archivista.headers, ...(options.data ? { "Content-Type": "application/json" } : {}) },
+    httpsAgent: archivista.httpsAgent,
+    timeout: 30000,
+    validateStatus: status => status >= 200 && status < 300,
+    ...options,
+  });
+  return response.data;
+}
+
+// Settings for publishing attestations as a workflow artifact and as release assets.
+function getPublishConfig(step) {
+  const config = { artifact: null, release: null };
+  if (core.getInput("upload-artifact") === "true") {
+    const retentionInput = core.getInput("artifact-retention-days");
+    const retentionDays = retentionInput ? Number(retentionInput) : undefined;
+    if (retentionInput && (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > 90)) {
+      throw new Error(`artifact-retention-days must be a whole number of days from 1 to 90, got '${retentionInput}'`);
+    }
+    config.artifact = {
+      name: core.getInput("artifact-name") || `${step || "witness"}-attestations`,
+      retentionDays,
+    };
+  }
+  if (core.getInput("attach-to-release") === "true") {
+    const ref = process.env.GITHUB_REF || "";
+    const tag = core.getInput("release-tag") || (ref.startsWith("refs/tags/") ? ref.slice("refs/tags/".length) : "");
+    if (!tag) {
+      throw new Error("attach-to-release needs release-tag when the workflow does not run for a tag");
+    }
+    const token = core.getInput("github-token");
+    if (!token) {
+      throw new Error("attach-to-release needs github-token");
+    }
+    core.setSecret(token);
+    config.release = {
+      tag,
+      token,
+      repository: process.env.GITHUB_REPOSITORY,
+      apiUrl: (process.env.GITHUB_API_URL || "https://api.github.com").replace(/\/+$/, ""),
+    };
+  }
+  return config;
+}
+
+// Publish the attestation envelopes, together with the attestations witness exported next
+// to them (`<outfile>-slsa.json` and the like), as configured. Only the exports enabled in
+// `exports` are included, so files left next to the outfile by earlier runs are not.
+async function publishAttestations(attestationFiles, { artifact, release }, exports = {}) {
+  const files = [];
+  for (const attestationFile of attestationFiles) {
+    for (const file of [attestationFile, ...exportedAttestationFiles(attestationFile, exports)]) {
+      if (!files.includes(file)) files.push(file);
+    }
+  }
+  core.info(`Publishing attestations: ${files.join(", ")}`);
+
+  if (artifact) {
+    // Artifacts are uploaded relative to one root, so stage the files in a single directory.
+    const stagingDir = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), "attestation-artifact-"));
+    const staged = files.map((file) => {
+      const stagedFile = path.join(stagingDir, path.basename(file));
+      fs.copyFileSync(file, stagedFile);
+      return stagedFile;
+    });
+    const { id, size } = await new DefaultArtifactClient().uploadArtifact(artifact.name, staged, stagingDir, {
+      retentionDays: artifact.retentionDays,
+    });
+    core.info(`Uploaded artifact ${artifact.name} (${size} bytes)`);
+    core.setOutput("artifact_id", String(id));
+  }
+
+  if (release) {
+    const assetUrls = await attachToRelease(files, release);
+    core.setOutput("release_assets", JSON.stringify(assetUrls));
+  }
+}
+
+// The attestations witness exported next to `outfile` for the export flags that are set.
+// Witness only writes an export when its attestor ran, so missing files are skipped.
+function exportedAttestationFiles(outfile, { exportLink, exportSBOM, exportSLSA }) {
+  return [[exportLink, "link"], [exportSBOM, "sbom"], [exportSLSA, "slsa"]]
+    .filter(([enabled]) => enabled)
+    .map(([, attestor]) => `${outfile}-${attestor}.json`)
+    .filter((file) => fs.existsSync(file));
+}
+
+// Upload files as assets of the release for `tag`, replacing assets with the same name.
+// Returns the download URLs of the assets.
+async function attachToRelease(files, { tag, token, repository, apiUrl }) {
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    Accept: "application/vnd.github+json",
+    "X-GitHub-Api-Version": "2022-11-28",
+  };
+  let release;
+  try {
+    release = (await axios.get(`${apiUrl}/repos/${repository}/releases/tags/${encodeURIComponent(tag)}`, { headers })).data;
+  } catch (error) {
+    const status = error.response ? ` (status ${error.response.status})` : "";
+    throw new Error(`Could not find the release for tag ${tag} in ${repository}${status}: ${error.message}`);
+  }
+
+  // upload_url is a URI template such as .../assets{?name,label}
+  const uploadUrl = release.upload_url.replace(/\{.*\}$/, "");
+  const assetUrls = [];
+  for (const file of files) {
+    const name = path.basename(file);
+    const existing = (release.assets || []).find((asset) => asset.name === name);
+    if (existing) {
+      core.info(`Replacing release asset ${name}`);
+      await axios.delete(`${apiUrl}/repos/${repository}/releases/assets/${existing.id}`, { headers });
+    }
+    const response = await axios.post(`${uploadUrl}?name=${encodeURIComponent(name)}`, fs.readFileSync(file), {
+      headers: { ...headers, "Content-Type": "application/json" },
+      maxBodyLength: Infinity,
+    });
+    core.info(`Attached ${name} to release ${tag}`);
+    assetUrls.push(response.data.browser_download_url);
+  }
+  return assetUrls;
+}
+
+function setAttestationOutputs(summaries) {
+  const unique = (values) => [...new Set(values)];
+  const gitOIDs = summaries.map((summary) => summary.gitOID);
+  if (gitOIDs.length > 0) {
+    core.setOutput("git_oid", gitOIDs[gitOIDs.length - 1]);
+  }
+  core.setOutput("git_oids", JSON.stringify(gitOIDs));
+  core.setOutput("subjects", JSON.stringify(summaries.flatMap((summary) => summary.subjects)));
+  core.setOutput("attestors", JSON.stringify(unique(summaries.flatMap((summary) => summary.attestors))));
+  core.setOutput("predicate_type", unique(summaries.map((summary) => summary.predicateType)).join(" "));
+  core.setOutput("signer_key_ids", JSON.stringify(unique(summaries.flatMap((summary) => summary.signers.map((signer) => signer.keyId)))));
+  core.setOutput("signer_identity", unique(summaries.flatMap((summary) => summary.signers.map((signer) => signer.identity)).filter((identity) => identity)).join(" "));
+  core.setOutput("attestation_summary", JSON.stringify(summaries));
+}
+
+// Run `witness verify` on the attestations created by this run, plus any earlier ones
+// given as files or found in Archivista, and record the result in the step summary.
+// Archivista is searched through the wrapper's client, so its token, headers and mTLS
+// settings apply; witness verify only gets the envelopes as files.
+async function verifyAttestations({ policy, policyKey, policyCa, artifact, attestationFiles, archivista, witnessBinary }) {
+  if (!artifact) {
+    throw new Error("verify-artifact must be provided when policy is set");
+  }
+  if (!policyKey && !policyCa.some((ca) => ca.trim().length > 0)) {
+    throw new Error("Either policy-key or policy-ca must be provided when policy is set");
+  }
+
+  const args = ["verify", `--policy=${policy}`, `--artifactfile=${artifact}`];
+  if (policyKey) args.push(`--publickey=${policyKey}`);
+  policyCa.forEach((ca) => {
+    ca = ca.trim();
+    if (ca.length > 0) {
+      args.push(`--policy-ca-roots=${ca}`);
+    }
+  });
+  const localFiles = attestationFiles.map((attestationFile) => attestationFile.trim()).filter((attestationFile) => attestationFile.length > 0);
+  let archivistaFiles = [];
+  if (archivista) {
+    try {
+      archivistaFiles = await fetchArchivistaAttestations(artifact, localFiles, archivista);
+    } catch (error) {
+      throw withFailurePhase(new Error(`Could not fetch attestations from Archivista for verification: ${error.message}`), "verify");
+    }
+    core.info(`Fetched ${archivistaFiles.length} attestation(s) from Archivista for verification`);
+  }
+  [...localFiles, ...archivistaFiles].forEach((attestationFile) => args.push(`--attestations=${attestationFile}`));
+  core.info(`Running witness command: witness ${args.join(" ")}`);
+
+  let output = "";
+  let passed = true;
+  try {
+    await exec.exec(witnessBinary || "witness", args, {
+      listeners: {
+        stdout: (data) => { output += data.toString(); },
+        stderr: (data) => { output += data.toString(); }
+      }
+    });
+  } catch (error) {
+    passed = false;
+  }
+
+  try {
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      await core.summary
+        .addHeading("Policy Verification", 2)
+        .addTable([
+          [{ data: "Policy", header: true }, { data: "Artifact", header: true }, { data: "Result", header: true }],
+          [escapeHtml(policy), escapeHtml(artifact), passed ? "✅ Passed" : "❌ Failed"],
+        ])
+        .addDetails("witness verify output", `<pre>${escapeHtml(output.trim())}</pre>`)
+        .write();
+    }
+  } catch (error) {
+    core.warning(`Could not write to GitHub step summary: ${error.message}`);
+  }
+
+  if (!passed) {
+    throw withFailurePhase(new Error(`Policy verification failed for ${artifact} against ${policy}`), "verify");
+  }
+  core.info("Policy verification passed");
+}
+
+// Run the steps of a composite action in order. `invoke(commandArgs, execOptions, label)`
+// decides how each command is executed (directly, or wrapped in its own witness run) and
+// returns its output; nested `uses:` steps are resolved and executed recursively.
+async function executeCompositeSteps(actionDir, actionConfig, env, invoke, labelPrefix) {
+  const steps = (actionConfig.runs && actionConfig.runs.steps) || [];
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("Composite action does not define any steps (runs.steps)");
+  }
+  // Environment and PATH changes made by a step apply to the following steps and are
+  // forwarded to the caller, as with the runner.
+  env = { ...env };
+  const callerFiles = { GITHUB_OUTPUT: env.GITHUB_OUTPUT, GITHUB_ENV: env.GITHUB_ENV, GITHUB_PATH: env.GITHUB_PATH };
+  const contexts = buildExpressionContexts(actionDir, actionConfig, env);
+
+  let output = "";
+  // As on the runner, a failed step skips the following steps unless their `if` calls
+  // failure() or always(); the action fails with the first error once all steps are done.
+  let status = "success";
+  let firstError = null;
+  for (let i = 0; i < steps.length; i++) {
+    const compositeStep = steps[i];
+    const label = labelPrefix + (compositeStep.id || `step-${i + 1}`);
+    const condition = compositeStep.if !== undefined ? compositeStep.if : "success()";
+    if (!evaluateCondition(condition, contexts, status)) {
+      core.info(`Skipping composite step ${label}: if '${condition}' evaluated to false`);
+      if (compositeStep.id) {
+        contexts.steps[compositeStep.id] = { outputs: {}, outcome: "skipped", conclusion: "skipped" };
+      }
+      continue;
+    }
+    core.info(`Running composite step ${label}${compositeStep.name ? ` (${compositeStep.name})` : ""}`);
+
+    const stepFiles = createCommandFiles();
+    const stepEnv = { ...env, ...stepFiles };
+    for (const [name, value] of Object.entries(compositeStep.env || {})) {
+      stepEnv[name] = evaluateExpressions(String(value), contexts);
+    }
+
+    let outcome = "success";
+    let stepError = null;
+    try {
+      if (compositeStep.run !== undefined) {
+        output += await runCompositeRunStep(compositeStep, label, stepEnv, contexts, invoke);
+      } else if (compositeStep.uses) {
+        output += await runCompositeUsesStep(compositeStep, label, stepEnv, contexts, invoke);
+      } else {
+        throw new Error(`Composite step ${label} must define either 'run' or 'uses'`);
+      }
+    } catch (error) {
+      outcome = "failure";
+      stepError = error;
+    }
+
+    const stepOutputs = parseFileCommands(fs.readFileSync(stepFiles.GITHUB_OUTPUT, "utf8"));
+    for (const [name, value] of Object.entries(parseFileCommands(fs.readFileSync(stepFiles.GITHUB_ENV, "utf8")))) {
+      env[name] = value;
+      if (callerFiles.GITHUB_ENV) appendFileCommand(callerFiles.GITHUB_ENV, name, value);
+    }
+    for (const entry of readPathCommands(stepFiles.GITHUB_PATH)) {
+      env.PATH = `${entry}${path.delimiter}${env.PATH || ""}`;
+      if (callerFiles.GITHUB_PATH) fs.appendFileSync(callerFiles.GITHUB_PATH, `${entry}\n`);
+    }
+    if (compositeStep.id) {
+      const conclusion = stepError && compositeStep["continue-on-error"] === true ? "success" : outcome;
+      contexts.steps[compositeStep.id] = { outputs: stepOutputs, outcome, conclusion };
+    }
+
+    if (stepError) {
+      if (compositeStep["continue-on-error"] === true) {
+        core.warning(`Composite step ${label} failed but continue-on-error is set: ${stepError.message}`);
+      } else {
+        core.error(`Composite step ${label} failed: ${stepError.message}`);
+        status = "failure";
+        firstError = firstError || stepError;
+      }
+    }
+  }
+  if (firstError) {
+    throw firstError;
+  }
+
+  // Evaluate the composite action's declared outputs against the steps context.
+  for (const [name, spec] of Object.entries(actionConfig.outputs || {})) {
+    const value = spec && spec.value !== undefined ? evaluateExpressions(String(spec.value), contexts) : "";
+    if (callerFiles.GITHUB_OUTPUT) appendFileCommand(callerFiles.GITHUB_OUTPUT, name, value);
+  }
+  return output;
+}
+
+async function runCompositeRunStep(compositeStep, label, env, contexts, invoke) {
+  if (!compositeStep.shell) {
+    throw new Error(`Composite step ${label} uses 'run' but does not declare a 'shell'`);
+  }
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+  const cwd = compositeStep["working-directory"]
+    ? path.resolve(workspace, evaluateExpressions(String(compositeStep["working-directory"]), contexts))
+    : workspace;
+  const script = evaluateExpressions(String(compositeStep.run), contexts);
+  const shell = evaluateExpressions(String(compositeStep.shell), contexts);
+  const scriptFile = writeScriptFile(script, shell);
+  return invoke(resolveShellCommand(shell, scriptFile), { cwd, env }, label);
+}
+
+async function runCompositeUsesStep(compositeStep, label, env, contexts, invoke) {
+  const uses = String(compositeStep.uses);
+  // Actions a composite pulls in are pinned like action-ref: by commit SHA, or by image
+  // digest for docker:// steps. Local actions come from the checked out workspace.
+  const requirePinned = process.env[REQUIRE_PINNED_ACTION_ENV] === "true";
+  if (requirePinned) {
+    const pinned = uses.startsWith("docker://")
+      ? /@sha256:[0-9a-fA-F]{64}$/.test(uses)
+      : uses.startsWith("./") || uses.startsWith("../") || COMMIT_SHA_PATTERN.test(uses.split("@")[1] || "");
+    if (!pinned) {
+      throw new Error(`'${uses}' is not pinned. With require-pinned-action, composite steps must use a full commit SHA (or a docker://image@sha256:... digest)`);
+    }
+  }
+
+  // Nested actions only see the inputs given in their own `with:` block.
+  const nestedEnv = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith("INPUT_")) nestedEnv[name] = value;
+  }
+  const withInputs = {};
+  for (const [name, value] of Object.entries(compositeStep.with || {})) {
+    withInputs[name] = evaluateExpressions(String(value), contexts);
+    nestedEnv[inputEnvName(name)] = withInputs[name];
+  }
+
+  if (uses.startsWith("docker://")) {
+    // `uses: docker://image` steps take `args` and `entrypoint` from `with:`, like the runner.
+    const dockerConfig = {
+      runs: {
+        using: "docker",
+        image: uses,
+        args: withInputs.args ? splitCommandLine(withInputs.args) : [],
+        entrypoint: withInputs.entrypoint,
+      },
+    };
+    const actionDir = contexts.github.action_path;
+    const workDir = createDockerWorkDir(actionDir);
+    const dockerArgs = await prepareDockerAction(actionDir, dockerConfig, nestedEnv, workDir);
+    return invoke(dockerArgs, { cwd: workDir, env: nestedEnv }, label);
+  }
+
+  const { actionDir: nestedDir } = await resolveAction(uses, { requirePinned });
+  const nestedConfig = loadActionConfig(nestedDir);
+  applyActionInputs(nestedDir, nestedConfig, nestedEnv);
+  const nestedUsing = nestedConfig.runs && nestedConfig.runs.using;
+  if (nestedUsing === "composite") {
+    return executeCompositeSteps(nestedDir, nestedConfig, nestedEnv, invoke, `${label}-`);
+  }
+  if (nestedUsing === "docker") {
+    const workDir = createDockerWorkDir(nestedDir);
+    const dockerArgs = await prepareDockerAction(nestedDir, nestedConfig, nestedEnv, workDir);
+    return invoke(dockerArgs, { cwd: workDir, env: nestedEnv }, label);
+  }
+  return executeNodeAction(nestedDir, nestedConfig, nestedEnv, invoke, label);
+}
+
+// Split a command line on whitespace, keeping double-quoted segments together.
+function splitCommandLine(commandLine) {
+  const parts = commandLine.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+  return parts.map((part) => part.replace(/"/g, ""));
+}
+
+// Split an input into arguments the way a POSIX shell splits words: whitespace separates them,
+// single quotes keep everything literally, double quotes keep whitespace and let a backslash
+// escape `"`, `\`, `$` and `` ` ``, and a backslash outside quotes escapes the next character.
+function splitShellWords(input, inputName) {
+  const words = [];
+  let word = null;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+      continue;
+    }
+    word = word || "";
+    if (char === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated single quote in ${inputName}: ${input}`);
+      }
+      word += input.slice(i + 1, end);
+      i = end;
+    } else if (char === '"') {
+      for (i++; i < input.length && input[i] !== '"'; i++) {
+        if (input[i] === "\\" && "\"\\$`".includes(input[i + 1])) i++;
+        word += input[i];
+      }
+      if (i >= input.length) {
+        throw new Error(`Unterminated double quote in ${inputName}: ${input}`);
+      }
+    } else if (char === "\\" && i + 1 < input.length) {
+      word += input[++i];
+    } else {
+      word += char;
+    }
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+// Build or pull the image of a Docker container action and return the `docker run`
+// argument array that executes it the way the Actions runner does. The image digest is
+// written to `materialDir` so witness records it as a material of the run.
+async function prepareDockerAction(actionDir, actionConfig, env, materialDir) {
+  const runs = actionConfig.runs || {};
+  if (!runs.image) {
+    throw new Error("Docker action does not define an image (runs.image)");
+  }
+
+  let imageRef;
+  if (runs.image.startsWith("docker://")) {
+    imageRef = runs.image.substring("docker://".length);
+    core.info(`Pulling Docker image ${imageRef}`);
+    await exec.exec("docker", ["pull", imageRef], { env });
+  } else {
+    const dockerfile = path.join(actionDir, runs.image);
+    if (!fs.existsSync(dockerfile)) {
+      throw new Error(`Dockerfile ${dockerfile} does not exist.`);
+    }
+    imageRef = dockerImageTag(actionDir);
+    core.info(`Building Docker image ${imageRef} from ${dockerfile}`);
+    await exec.exec("docker", ["build", "-t", imageRef, "-f", dockerfile, path.dirname(dockerfile)], { env });
+  }
+
+  const digest = await getDockerImageDigest(imageRef, env);
+  core.info(`Docker image digest: ${digest}`);
+  fs.writeFileSync(
+    path.join(materialDir, DOCKER_IMAGE_MATERIAL_FILE),
+    JSON.stringify({ image: runs.image, ref: imageRef, digest }, null, 2) + "\n"
+  );
+
+  const contexts = buildExpressionContexts(actionDir, actionConfig, env);
+  const args = ["run", "--rm"];
+
+  // Mount the workspace and the files the runner shares with containers.
+  const workspace = env.GITHUB_WORKSPACE || process.cwd();
+  args.push("-v", `${workspace}:/github/workspace`, "--workdir", "/github/workspace");
+  const containerEnv = { GITHUB_WORKSPACE: "/github/workspace", HOME: "/github/home" };
+  if (env.GITHUB_EVENT_PATH && fs.existsSync(env.GITHUB_EVENT_PATH)) {
+    args.push("-v", `${env.GITHUB_EVENT_PATH}:/github/workflow/event.json`);
+    containerEnv.GITHUB_EVENT_PATH = "/github/workflow/event.json";
+  }
+  for (const name of ["GITHUB_OUTPUT", "GITHUB_ENV", "GITHUB_PATH", "GITHUB_STATE", "GITHUB_STEP_SUMMARY"]) {
+    if (env[name] && fs.existsSync(env[name])) {
+      const containerPath = `/github/file_commands/${path.basename(env[name])}`;
+      args.push("-v", `${env[name]}:${containerPath}`);
+      containerEnv[name] = containerPath;
+    }
+  }
+  if (fs.existsSync("/var/run/docker.sock")) {
+    args.push("-v", "/var/run/docker.sock:/var/run/docker.sock");
+  }
+
+  // Pass inputs and the runner environment through, with `runs.env` on top.
+  for (const name of Object.keys(env)) {
+    if (/^(INPUT_|GITHUB_|RUNNER_|ACTIONS_)/.test(name) || name === "CI") {
+      if (!(name in containerEnv)) args.push("-e", name);
+    }
+  }
+  for (const [name, value] of Object.entries(containerEnv)) {
+    args.push("-e", `${name}=${value}`);
+  }
+  for (const [name, value] of Object.entries(runs.env || {})) {
+    args.push("-e", `${name}=${evaluateExpressions(String(value), contexts)}`);
+  }
+
+  if (runs.entrypoint) {
+    args.push("--entrypoint", evaluateExpressions(String(runs.entrypoint), contexts));
+  }
+  args.push(imageRef);
+  for (const arg of runs.args || []) {
+    args.push(evaluateExpressions(String(arg), contexts));
+  }
+  return ["docker", ...args];
+}
+
+// Directory witness runs a Docker action in: a temporary copy of the action directory (without
+// .git) under `action/`, next to which prepareDockerAction writes docker-image-digest.json.
+// Witness records both as materials, and nothing is written into the action directory, which
+// is part of the user's checkout for local actions.
+function createDockerWorkDir(actionDir) {
+  const workDir = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), "docker-action-"));
+  cleanupTasks.add(() => fs.rmSync(workDir, { recursive: true, force: true }));
+  fs.cpSync(actionDir, path.join(workDir, "action"), {
+    recursive: true,
+    verbatimSymlinks: true,
+    filter: (source) => path.basename(source) !== ".git",
+  });
+  return workDir;
+}
+
+// Name and tag for the image of a Docker action built from its Dockerfile: the action's
+// repository (and path) at the commit it resolved to, from its action-source.json. The
+// directory name cannot be used: cached actions live in <cache>/<name>/<version>/<arch>.
+function dockerImageTag(actionDir) {
+  const component = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "action";
+  const sourceFile = path.join(actionDir, ACTION_SOURCE_MATERIAL_FILE);
+  if (fs.existsSync(sourceFile)) {
+    const source = JSON.parse(fs.readFileSync(sourceFile, "utf8"));
+    const name = [...source.repository.split("/"), ...(source.path ? [source.path] : [])].map(component).join("/");
+    return `action-wrapper/${name}:${component(source.commit || source.ref)}`;
+  }
+  // Local actions are built from the workspace and have no commit of their own.
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+  return `action-wrapper/local/${component(path.relative(workspace, actionDir) || path.basename(actionDir))}:latest`;
+}
+
+// Prefer the registry digest of a pulled image; locally built images only have an ID.
+async function getDockerImageDigest(imageRef, env) {
+  const { stdout } = await exec.getExecOutput(
+    "docker",
+    ["image", "inspect", "--format", "{{json .RepoDigests}} {{.Id}}", imageRef],
+    { env, silent: true }
+  );
+  const [repoDigests, imageId] = stdout.trim().split(" ");
+  const digests = JSON.parse(repoDigests || "null") || [];
+  return digests.length > 0 ? digests[0] : imageId;
+}
+
+// Entry point of the witness-wrapped child process that runs a composite action's steps or
+// a JavaScript action's pre/main/post scripts directly, inside a single attestation.
+async function runNestedActionChild() {
+  const actionDir = process.env[NESTED_ACTION_DIR_ENV];
+  delete process.env[NESTED_ACTION_DIR_ENV];
+  const actionConfig = loadActionConfig(actionDir);
+  const invoke = async (commandArgs, execOptions) => {
+    let output = "";
+    await exec.exec(commandArgs[0], commandArgs.slice(1), {
+      ...execOptions,
+      listeners: { stdout: (data) => { output += data.toString(); } }
+    });
+    return output;
+  };
+  try {
+    if (actionConfig.runs && actionConfig.runs.using === "composite") {
+      await executeCompositeSteps(actionDir, actionConfig, { ...process.env }, invoke, "");
+    } else {
+      await executeNodeAction(actionDir, actionConfig, { ...process.env }, invoke, "");
+    }
+  } finally {
+    runCleanupTasks();
+  }
+}
+
+// Environment variable name the Actions runner uses for an input (mirrors core.getInput).
+function inputEnvName(name) {
+  return `INPUT_${name.replace(/ /g, "_").toUpperCase()}`;
+}
+
+// Remove the wrapper's secret inputs from an environment. Applied to process.env, which every
+// env map handed to witness, commands, nested actions, npm and docker is copied from.
+function removeSecretInputsFromEnv(env) {
+  for (const name of WRAPPER_SECRET_INPUTS) {
+    delete env[inputEnvName(name)];
+  }
+}
+
+// Map wrapper inputs named `input-<name>` to the nested action's `<name>` input. Prefixed
+// inputs win over unprefixed ones, so they never collide with the wrapper's own inputs.
+// The runner keeps hyphens in input variable names; underscores are accepted as well.
+function applyPrefixedInputs(env) {
+  for (const [name, value] of Object.entries(env)) {
+    const prefixMatch = name.match(/^INPUT_INPUT[-_](.+)$/);
+    if (prefixMatch) {
+      core.info(`Forwarding input-${prefixMatch[1].toLowerCase()} to the nested action`);
+      env[`INPUT_${prefixMatch[1]}`] = value;
+    }
+  }
+}
+
+// Apply the `inputs:` block of the nested action's metadata the way the runner does:
+// inject defaults for inputs that were not supplied, warn about deprecated inputs and
+// fail early when a required input is missing.
+function applyActionInputs(actionDir, actionConfig, env) {
+  const contexts = buildExpressionContexts(actionDir, actionConfig, env);
+  const missing = [];
+  for (const [name, spec] of Object.entries(actionConfig.inputs || {})) {
+    const envName = inputEnvName(name);
+    const supplied = env[envName] !== undefined && env[envName] !== "";
+    if (!supplied && spec && spec.default !== undefined && spec.default !== null) {
+      try {
+        env[envName] = evaluateExpressions(String(spec.default), contexts);
+      } catch (error) {
+        throw new Error(`Could not evaluate the default of input '${name}' of the nested action: ${error.message}`);
+      }
+      core.debug(`Using default for input ${name}`);
+    }
+    if (supplied && spec && spec.deprecationMessage) {
+      core.warning(`Input '${name}' has been deprecated with message: ${spec.deprecationMessage}`);
+    }
+    if (spec && spec.required === true && (env[envName] === undefined || env[envName] === "")) {
+      missing.push(name);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing required input(s) for nested action: ${missing.join(", ")}`);
+  }
+}
+
+// Build the contexts available to `${{ }}` expressions in composite steps.
+function buildExpressionContexts(actionDir, actionConfig, env) {
+  const inputs = {};
+  for (const [name, spec] of Object.entries(actionConfig.inputs || {})) {
+    const supplied = env[inputEnvName(name)];
+    const fallback = spec && spec.default !== undefined ? String(spec.default) : "";
+    inputs[name] = supplied !== undefined && supplied !== "" ? supplied : fallback;
+  }
+
+  const github = { action_path: actionDir };
+  const runner = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith("GITHUB_")) github[name.substring(7).toLowerCase()] = value;
+    if (name.startsWith("RUNNER_")) runner[name.substring(7).toLowerCase()] = value;
+  }
+  if (env.GITHUB_EVENT_PATH && fs.existsSync(env.GITHUB_EVENT_PATH)) {
+    try {
+      github.event = JSON.parse(fs.readFileSync(env.GITHUB_EVENT_PATH, "utf8"));
+    } catch (error) {
+      core.warning(`Could not parse GitHub event payload: ${error.message}`);
+    }
+  }
+  return { inputs, github, runner, env, steps: {} };
+}
+
+// Substitute `${{ }}` expressions in a string.
+function evaluateExpressions(text, contexts) {
+  return text.replace(/\$\{\{\s*(.*?)\s*\}\}/g, (match, expression) => {
+    const value = evaluateExpression(expression, contexts, "success");
+    if (value === undefined || value === null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+// Evaluate an `if`-style condition. As in the runner, a condition that does not call a
+// status function is implicitly combined with success().
+function evaluateCondition(condition, contexts, status) {
+  let expression = String(condition).trim();
+  const wrapped = expression.match(/^\$\{\{\s*([\s\S]*?)\s*\}\}$/);
+  if (wrapped) expression = wrapped[1];
+  if (!/\b(success|failure|always|cancelled)\s*\(/.test(expression)) {
+    expression = `success() && (${expression})`;
+  }
+  return isTruthy(evaluateExpression(expression, contexts, status));
+}
+
+function isTruthy(value) {
+  return !(value === false || value === null || value === undefined || value === "" || value === 0 || Number.isNaN(value));
+}
+
+// Contexts of the workflow run that the wrapper cannot reconstruct for nested actions.
+const UNAVAILABLE_CONTEXTS = ["job", "jobs", "matrix", "strategy", "needs", "secrets", "vars"];
+
+// Minimal evaluator for the Actions expression language: literals, context property
+// access, comparison and logical operators, status functions and a few helpers.
+// Anything it does not understand is rejected rather than silently mis-evaluated.
+function evaluateExpression(expression, contexts, status) {
+  const tokens = [];
+  const tokenPattern = /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w-]*)|(==|!=|<=|>=|&&|\|\||[!<>()[\].,]))/y;
+  let position = 0;
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.substring(position))) break;
+    tokenPattern.lastIndex = position;
+    const match = tokenPattern.exec(expression);
+    if (!match) {
+      throw new Error(`Unsupported expression '${expression}'`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: "literal", value: match[1].slice(1, -1).replace(/''/g, "'") });
+    else if (match[2] !== undefined) tokens.push({ type: "literal", value: Number(match[2]) });
+    else if (match[3] !== undefined) tokens.push({ type: "identifier", value: match[3] });
+    else tokens.push({ type: "operator", value: match[4] });
+    position = tokenPattern.lastIndex;
+  }
+
+  let index = 0;
+  const peek = (value) => index < tokens.length && tokens[index].type === "operator" && tokens[index].value === value;
+  const expect = (value) => {
+    if (!peek(value)) throw new Error(`Unsupported expression '${expression}': expected '${value}'`);
+    index++;
+  };
+  const lookup = (object, key) => {
+    if (object === null || typeof object !== "object") return undefined;
+    // Context property names are case-insensitive, as in the Actions runner.
+    const actualKey = Object.keys(object).find((k) => k.toLowerCase() === String(key).toLowerCase());
+    return actualKey === undefined ? undefined : object[actualKey];
+  };
+  const compare = (left, right) => {
+    if (typeof left === "string" && typeof right === "string") {
+      left = left.toLowerCase();
+      right = right.toLowerCase();
+    } else if (typeof left !== typeof right) {
+      left = Number(left === null ? 0 : left);
+      right = Number(right === null ? 0 : right);
+    }
+    return left < right ? -1 : left > right ? 1 : 0;
+  };
+  const functions = {
+    success: () => status === "success",
+    failure: () => status === "failure",
+    cancelled: () => status === "cancelled",
+    always: () => true,
+    contains: (haystack, needle) => Array.isArray(haystack)
+      ? haystack.some((item) => compare(item, needle) === 0)
+      : String(haystack === null || haystack === undefined ? "" : haystack).toLowerCase().includes(String(needle).toLowerCase()),
+    startswith: (text, prefix) => String(text === null || text === undefined ? "" : text).toLowerCase().startsWith(String(prefix).toLowerCase()),
+    endswith: (text, suffix) => String(text === null || text === undefined ? "" : text).toLowerCase().endsWith(String(suffix).toLowerCase()),
+    format: (template, ...args) => String(template).replace(/\{(\d+)\}/g, (m, i) => String(args[Number(i)])),
+    join: (items, separator = ",") => (Array.isArray(items) ? items.join(separator) : String(items)),
+    tojson: (value) => JSON.stringify(value, null, 2),
+    fromjson: (value) => JSON.parse(value),
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek("||")) {
+      index++;
+      const right = parseAnd();
+      left = isTruthy(left) ? left : right;
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseEquality();
+    while (peek("&&")) {
+      index++;
+      const right = parseEquality();
+      left = isTruthy(left) ? right : left;
+    }
+    return left;
+  };
+  // As in the runner, `<`, `<=`, `>` and `>=` bind tighter than `==` and `!=`.
+  const parseEquality = () => {
+    let left = parseRelational();
+    while (peek("==") || peek("!=")) {
+      const operator = tokens[index++].value;
+      const result = compare(left, parseRelational());
+      left = operator === "==" ? result === 0 : result !== 0;
+    }
+    return left;
+  };
+  const parseRelational = () => {
+    let left = parseUnary();
+    while (["<=", ">=", "<", ">"].some(peek)) {
+      const operator = tokens[index++].value;
+      const result = compare(left, parseUnary());
+      left = { "<=": result <= 0, ">=": result >= 0, "<": result < 0, ">": result > 0 }[operator];
+    }
+    return left;
+  };
+  // The job token never reaches the wrapper's nested actions, so `github.token` fails instead
+  // of quietly evaluating to an empty string.
+  const member = (object, key) => {
+    if (object === contexts.github && String(key).toLowerCase() === "token") {
+      throw new Error(`github.token is not available to nested actions (in expression '${expression}'). Set the input that needs it explicitly, e.g. input-<name>: \${{ github.token }}`);
+    }
+    return lookup(object, key);
+  };
+  const parseUnary = () => {
+    if (peek("!")) {
+      index++;
+      return !isTruthy(parseUnary());
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error(`Unsupported expression '${expression}': unexpected end`);
+    let value;
+    if (token.type === "literal") {
+      return token.value;
+    } else if (token.type === "operator" && token.value === "(") {
+      value = parseOr();
+      expect(")");
+      return value;
+    } else if (token.type === "identifier") {
+      const name = token.value.toLowerCase();
+      if (name === "true" || name === "false") return name === "true";
+      if (name === "null") return null;
+      if (peek("(")) {
+        index++;
+        const args = [];
+        while (!peek(")")) {
+          args.push(parseOr());
+          if (!peek(")")) expect(",");
+        }
+        index++;
+        if (!functions[name]) throw new Error(`Unsupported function '${token.value}' in expression '${expression}'`);
+        return functions[name](...args);
+      }
+      if (!Object.prototype.hasOwnProperty.call(contexts, name)) {
+        if (UNAVAILABLE_CONTEXTS.includes(name)) {
+          throw new Error(`The '${token.value}' context is not available to nested actions (in expression '${expression}'). Pass the value as an input instead`);
+        }
+        throw new Error(`Unsupported context '${token.value}' in expression '${expression}'`);
+      }
+      value = contexts[name];
+    } else {
+      throw new Error(`Unsupported expression '${expression}'`);
+    }
+    for (;;) {
+      if (peek(".")) {
+        index++;
+        const property = tokens[index++];
+        if (!property || property.type !== "identifier") throw new Error(`Unsupported expression '${expression}'`);
+        value = member(value, property.value);
+      } else if (peek("[")) {
+        index++;
+        const key = parseOr();
+        expect("]");
+        value = member(value, key);
+      } else {
+        return value;
+      }
+    }
+  };
+
+  const result = parseOr();
+  if (index !== tokens.length) {
+    throw new Error(`Unsupported expression '${expression}'`);
+  }
+  return result;
+}
+
+// Shells supported by `run:` steps, with the same invocation the Actions runner uses.
+const SHELLS = {
+  bash: { ext: ".sh", args: (file) => ["bash", "--noprofile", "--norc", "-eo", "pipefail", file] },
+  sh: { ext: ".sh", args: (file) => ["sh", "-e", file] },
+  pwsh: { ext: ".ps1", args: (file) => ["pwsh", "-command", `. '${file}'`] },
+  powershell: { ext: ".ps1", args: (file) => ["powershell", "-command", `. '${file}'`] },
+  python: { ext: ".py", args: (file) => ["python", file] },
+  cmd: { ext: ".cmd", args: (file) => ["cmd", "/D", "/E:ON", "/V:OFF", "/S", "/C", `CALL "${file}"`] },
+};
+
+function writeScriptFile(script, shell) {
+  const ext = SHELLS[shell] ? SHELLS[shell].ext : "";
+  const scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), "wrapper-script-"));
+  const scriptFile = path.join(scriptDir, `script${ext}`);
+  fs.writeFileSync(scriptFile, script);
+  return scriptFile;
+}
+
+// Turn a `shell` value into an argument array. Custom shells use `{0}` as the script
+// placeholder; if it is missing the script path is appended.
+function resolveShellCommand(shell, scriptFile) {
+  if (SHELLS[shell]) {
+    return SHELLS[shell].args(scriptFile);
+  }
+  const parts = shell.split(/\s+/).filter((part) => part.length > 0);
+  if (!parts.some((part) => part.includes("{0}"))) {
+    parts.push("{0}");
+  }
+  return parts.map((part) => part.replace("{0}", scriptFile));
+}
+
+
+// Run `command-args`, a script or `command` with a `shell`, or a plain `command` under witness.
+async function runDirectCommandWithWitness({ command, args, shell }, witnessOptions, { cwd, env }) {
+  if (args) {
+    // The argument list is passed to witness as-is, without a shell.
+    return runWithWitness(args, witnessOptions, { cwd, env });
+  }
+  if (shell) {
+    // Like a `run:` step: the command is written to a script file and run by the shell.
+    const scriptFile = writeScriptFile(command, shell);
+    return runWithWitness(resolveShellCommand(shell, scriptFile), witnessOptions, { cwd, env });
+  }
+
+  // Without a shell the command is interpreted by `sh`, as it always has been. The witness
+  // arguments are quoted so their values reach witness unchanged.
+  const { outfile, witnessBinary, attestationFiles } = witnessOptions;
+  await refreshFulcioToken(witnessOptions);
+  const recorder = exitCodeRecorder(witnessOptions, env);
+  const witnessArgs = [witnessBinary || "witness", ...buildWitnessRunArgs(witnessOptions), "--", ...recorder.prefix];
+  const commandString = `${witnessArgs.map(quoteShellArg).join(" ")} ${command}`;
+  core.info(`Running witness command: ${formatCommandLine(witnessArgs, witnessSecrets(witnessOptions))} ${command}`);
+
+  const output = await spawnWitness('sh', ['-c', commandString], { cwd, env: recorder.env }, witnessOptions);
+  if (outfile && attestationFiles) attestationFiles.push(outfile);
+  recorder.check(witnessOptions.step);
+  return output;
+}
+
+// Pick the direct command to run from a script, an argument list or a command (in that
+// order). Returns null when none is given.
+function selectDirectCommand({ script, commandArgs, command, shell }) {
+  if (script) {
+    // Like a `run:` step without `shell:`, scripts default to bash (pwsh on Windows).
+    const scriptShell = shell || (process.platform === "win32" ? "pwsh" : "bash");
+    core.info(`Using script mode with shell ${scriptShell}`);
+    return { command: script, shell: scriptShell };
+  }
+  if (commandArgs) {
+    core.info("Using direct command mode with an argument list");
+    return { args: Array.isArray(commandArgs) ? commandArgs.map(String) : parseCommandArgs(commandArgs) };
+  }
+  if (command) {
+    core.info(`Using direct command mode${shell ? ` with shell ${shell}` : ""}`);
+    return { command, shell };
+  }
+  return null;
+}
+
+// Resolve `working-directory` against the workspace and add the `env` maps, in order, to the
+// wrapper's environment, for direct commands and scripts.
+function getDirectCommandContext(workingDirectory, envInputs) {
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+  const cwd = workingDirectory ? path.resolve(workspace, workingDirectory) : workspace;
+  if (!fs.existsSync(cwd)) {
+    throw new Error(`working-directory ${workingDirectory} does not exist`);
+  }
+  return { cwd, env: Object.assign({ ...process.env }, ...envInputs.map((input) => parseStringMap(input, "env"))) };
+}
+
+// Parse an input such as `env`, a YAML map (or an already parsed map) of names to values.
+function parseStringMap(input, inputName) {
+  if (!input) {
+    return {};
+  }
+  let parsed = input;
+  if (typeof input === "string") {
+    try {
+      parsed = yaml.load(input);
+    } catch (error) {
+      throw new Error(`Could not parse ${inputName}: ${error.message}`);
+    }
+  }
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`${inputName} must be a YAML map of names to values`);
+  }
+  const values = {};
+  for (const [name, value] of Object.entries(parsed)) {
+    values[name] = value === null || value === undefined ? "" : String(value);
+  }
+  return values;
+}
+
+// Keys of a steps file entry that select what the step runs.
+const STEP_RUN_KEYS = ["action-ref", "run", "command-args", "command"];
+
+// Load a steps file: a `steps:` list of named steps, each running an action or a command.
+function loadStepsFile(stepsFile) {
+  const file = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), stepsFile);
+  let config;
+  try {
+    config = yaml.load(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read steps file ${stepsFile}: ${error.message}`);
+  }
+  const steps = config && config.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(`Steps file ${stepsFile} must contain a non-empty 'steps' list`);
+  }
+  const names = new Set();
+  steps.forEach((step, index) => {
+    if (!step || typeof step !== "object" || !step.name) {
+      throw new Error(`Step ${index + 1} in ${stepsFile} must be a map with a 'name'`);
+    }
+    if (names.has(String(step.name))) {
+      throw new Error(`Step name '${step.name}' is used more than once in ${stepsFile}`);
+    }
+    names.add(String(step.name));
+    const runKeys = STEP_RUN_KEYS.filter((key) => step[key] !== undefined);
+    if (runKeys.length !== 1) {
+      throw new Error(`Step '${step.name}' in ${stepsFile} must set exactly one of ${STEP_RUN_KEYS.join(", ")}`);
+    }
+  });
+  return steps;
+}
+
+// Parse a `timeout-minutes` value; 0 disables the timeout.
+function parseTimeoutMinutes(value) {
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw new Error(`timeout-minutes must be a non-negative number, got '${value}'`);
+  }
+  return minutes;
+}
+
+// Derive the witness options for a steps file entry: its own step name, attestors and
+// outfile, with the signing and Archivista settings of the wrapper's inputs.
+function stepsFileWitnessOptions(witnessOptions, step) {
+  let attestations = witnessOptions.attestations;
+  if (Array.isArray(step.attestations)) {
+    attestations = step.attestations.map(String);
+  } else if (step.attestations !== undefined) {
+    attestations = String(step.attestations).split(" ");
+  }
+  return {
+    ...witnessOptions,
+    step: String(step.name),
+    attestations,
+    outfile: step.outfile ? String(step.outfile) : path.join(os.tmpdir(), `${step.name}-attestation.json`),
+    timeoutMinutes: step["timeout-minutes"] !== undefined
+      ? parseTimeoutMinutes(step["timeout-minutes"])
+      : witnessOptions.timeoutMinutes,
+  };
+}
+
+// Run the steps of a steps file in order, each as its own witness step. A failing step stops
+// the run unless it sets `continue-on-error: true`.
+async function runStepsFile(stepsFile, witnessOptions) {
+  const steps = loadStepsFile(stepsFile);
+  // Check every step's options before the first one runs.
+  const stepOptions = steps.map((step) => stepsFileWitnessOptions(witnessOptions, step));
+  stepOptions.forEach(validateWitnessOptions);
+
+  for (const [index, step] of steps.entries()) {
+    core.startGroup(`Step ${step.name}`);
+    try {
+      if (step["action-ref"]) {
+        const { actionDir } = await resolveAction(String(step["action-ref"]), {
+          sha256: step["action-sha256"],
+          requirePinned: core.getInput("require-pinned-action") === "true",
+        });
+        await runActionWithWitness(actionDir, stepOptions[index], step.with || {});
+      } else {
+        const commandToRun = selectDirectCommand({
+          script: step.run,
+          commandArgs: step["command-args"],
+          command: step.command,
+          shell: step.shell,
+        });
+        const context = getDirectCommandContext(
+          step["working-directory"] || core.getInput("working-directory"),
+          [core.getInput("env"), step.env]
+        );
+        await runDirectCommandWithWitness(commandToRun, stepOptions[index], context);
+      }
+    } catch (error) {
+      if (step["continue-on-error"] !== true) {
+        error.message = `Step '${step.name}' failed: ${error.message}`;
+        throw error;
+      }
+      core.warning(`Step '${step.name}' failed but continue-on-error is set: ${error.message}`);
+    } finally {
+      core.endGroup();
+    }
+  }
+}
+
+// Parse `command-args`: a JSON array or YAML list of arguments, the first being the program.
+function parseCommandArgs(input) {
+  let parsed;
+  try {
+    parsed = yaml.load(input);
+  } catch (error) {
+    throw new Error(`Could not parse command-args: ${error.message}`);
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0 ||
+    parsed.some((arg) => arg === null || typeof arg === "object")) {
+    throw new Error("command-args must be a non-empty JSON array or YAML list of strings");
+  }
+  return parsed.map(String);
+}
+
+// Quote an argument for `sh` unless it only contains characters that are safe unquoted.
+function quoteShellArg(arg) {
+  if (/^[A-Za-z0-9_\/.:=@%+,-]+$/.test(arg)) {
+    return arg;
+  }
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+// Values that must not appear in logged command lines.
+function witnessSecrets(witnessOptions) {
+  return [witnessOptions.fulcioToken].filter((secret) => secret);
+}
+
+// Join a command line for logging, quoting arguments and replacing secrets with `***`.
+function formatCommandLine(args, secrets) {
+  return args
+    .map((arg) => secrets.reduce((masked, secret) => masked.split(secret).join("***"), arg))
+    .map(quoteShellArg)
+    .join(" ");
+}
+
+// Split `owner/repo[/path]@ref` into the repository, the ref and the optional path of the
+// action inside the repository.
+function parseActionRef(refString) {
+  const parts = refString.split("@");
+  if (parts.length !== 2) {
+    throw new Error("Invalid action-ref format. Expected 'owner/repo@ref' or 'owner/repo/path@ref'");
+  }
+  const segments = parts[0].split("/").filter((segment) => segment.length > 0);
+  if (segments.length < 2 || !parts[1]) {
+    throw new Error("Invalid action-ref format. Expected 'owner/repo@ref' or 'owner/repo/path@ref'");
+  }
+  return [segments.slice(0, 2).join("/"), parts[1], segments.slice(2).join("/")];
+}
+
+// Only run when executed as the action (or its witness-wrapped child), so the module can be
+// required by tests.
+if (require.main === module) {
+  let main = run;
+  if (process.env[EXIT_CODE_FILE_ENV]) {
+    main = recordCommandExitCode;
+  } else if (process.env[NESTED_ACTION_DIR_ENV]) {
+    main = runNestedActionChild;
+  } else {
+    // The witness-wrapped children are in witness's process group and get its signals directly.
+    installProcessHandlers();
+  }
+  main()
+    .then(() => {
+      core.debug('Action wrapper completed successfully');
+      setTimeout(() => {
+        core.debug('Forcing process exit to prevent hanging');
+        // core.setFailed sets process.exitCode, so a failed run exits non-zero.
+        process.exit();
+      }, 500);
+    })
+    .catch(error => {
+      core.setFailed(`Action wrapper failed: ${error.message}`);
+      setTimeout(() => {
+        core.debug('Forcing process exit to prevent hanging');
+        process.exit(1);
+      }, 500);
+    });
+}
+
+module.exports = {
+  buildWitnessRunArgs,
+  validateWitnessOptions,
+  getWitnessOptions,
+  refreshFulcioToken,
+  keepFulcioTokenFresh,
+  runCleanupTasks,
+  prepareDockerAction,
+  getArchivistaConfig,
+  uploadAttestations,
+  summarizeAttestation,
+  writeAttestationSummary,
+  publishAttestations,
+  attachToRelease,
+  writeKeyMaterial,
+  removeSecretInputsFromEnv,
+  runWithWitness,
+  resolveAction,
+  resolveNodeRuntime,
+  evaluateExpression,
+  evaluateExpressions,
+  evaluateCondition,
+  buildExpressionContexts,
+  applyActionInputs,
+  parseFileCommands,
+  executeCompositeSteps,
+  verifyAttestations,
+  loadStepsFile,
+  runStepsFile,
+  parseActionRef,
+};
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveAction } = require("../index.js");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "action-cache-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+process.env.RUNNER_TOOL_CACHE = path.join(tmp, "tool-cache");
+process.env.RUNNER_TEMP = path.join(tmp, "runner-temp");
+fs.mkdirSync(process.env.RUNNER_TEMP);
+// Actions come from an offline directory laid out as <offline-dir>/<owner>/<repo>/<ref>.zip.
+const offlineDir = path.join(tmp, "offline");
+process.env["INPUT_OFFLINE-DIR"] = offlineDir;
+test.after(() => delete process.env["INPUT_OFFLINE-DIR"]);
+
+const COMMIT = "0123456789abcdef0123456789abcdef01234567";
+
+// Write a GitHub-style archive of owner/<repo> at COMMIT and return its SHA-256 digest.
+function publishArchive(repo) {
+  const source = fs.mkdtempSync(path.join(tmp, "source-"));
+  const root = path.join(source, `${repo}-${COMMIT}`);
+  fs.mkdirSync(root);
+  fs.writeFileSync(path.join(root, "action.yml"), "name: test\nruns:\n  using: node20\n  main: index.js\n");
+  fs.writeFileSync(path.join(root, "index.js"), "console.log('original');\n");
+  const zipFile = path.join(offlineDir, "owner", repo, `${COMMIT}.zip`);
+  fs.mkdirSync(path.dirname(zipFile), { recursive: true });
+  execFileSync("zip", ["-qr", zipFile, path.basename(root)], { cwd: source });
+  return crypto.createHash("sha256").update(fs.readFileSync(zipFile)).digest("hex");
+}
+
+function cachedDir(repo) {
+  return path.join(process.env.RUNNER_TOOL_CACHE, `action-owner__${repo}`, `0.0.0-g${COMMIT}`, os.arch());
+}
+
+test("runs cached actions from a copy, never from the cache", async () => {
+  publishArchive("copied");
+  const first = await resolveAction(`owner/copied@${COMMIT}`, {});
+  assert.ok(fs.existsSync(path.join(cachedDir("copied"), "index.js")));
+  assert.ok(!first.actionDir.startsWith(process.env.RUNNER_TOOL_CACHE));
+
+  // What one run does to its action directory (an npm install, the action itself) stays there.
+  fs.writeFileSync(path.join(first.actionDir, "index.js"), "console.log('changed');\n");
+  fs.mkdirSync(path.join(first.actionDir, "node_modules"));
+  fs.rmSync(path.join(offlineDir, "owner", "copied"), { recursive: true });
+
+  const second = await resolveAction(`owner/copied@${COMMIT}`, {});
+  assert.notEqual(second.actionDir, first.actionDir);
+  assert.ok(!second.actionDir.startsWith(process.env.RUNNER_TOOL_CACHE));
+  assert.equal(fs.readFileSync(path.join(second.actionDir, "index.js"), "utf8"), "console.log('original');\n");
+  assert.ok(!fs.existsSync(path.join(second.actionDir, "node_modules")));
+  assert.ok(!fs.existsSync(path.join(cachedDir("copied"), "node_modules")));
+  assert.equal(JSON.parse(fs.readFileSync(path.join(second.actionDir, "action-source.json"), "utf8")).commit, COMMIT);
+});
+
+test("checks action-sha256 against the archive on every run instead of the cache", async () => {
+  const sha256 = publishArchive("pinned");
+  await resolveAction(`owner/pinned@${COMMIT}`, {});
+
+  // A cached copy changed after it was checked, digest file included, is not used.
+  fs.writeFileSync(path.join(cachedDir("pinned"), "index.js"), "console.log('tampered');\n");
+  fs.writeFileSync(path.join(cachedDir("pinned"), ".action-archive-sha256"), `${"0".repeat(64)}\n`);
+
+  const pinned = await resolveAction(`owner/pinned@${COMMIT}`, { sha256 });
+  assert.equal(fs.readFileSync(path.join(pinned.actionDir, "index.js"), "utf8"), "console.log('original');\n");
+  assert.equal(JSON.parse(fs.readFileSync(path.join(pinned.actionDir, "action-source.json"), "utf8")).archiveSha256, sha256);
+
+  await assert.rejects(
+    resolveAction(`owner/pinned@${COMMIT}`, { sha256: "0".repeat(64) }),
+    new RegExp(`Action archive digest mismatch: expected ${"0".repeat(64)}, got ${sha256}`)
+  );
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveAction, executeCompositeSteps, parseActionRef } = require("../index.js");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "action-ref-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+process.env.TMPDIR = tmp;
+process.env.GITHUB_WORKSPACE = path.join(tmp, "workspace");
+process.env.RUNNER_TOOL_CACHE = path.join(tmp, "tool-cache");
+fs.mkdirSync(process.env.GITHUB_WORKSPACE);
+// Actions come from an offline directory laid out as <offline-dir>/<owner>/<repo>/<ref>.zip.
+const offlineDir = path.join(tmp, "offline");
+process.env["INPUT_OFFLINE-DIR"] = offlineDir;
+
+const COMMIT = "0123456789abcdef0123456789abcdef01234567";
+const ACTION_YML = "name: test\nruns:\n  using: node20\n  main: index.js\n";
+
+// Write a GitHub-style archive of owner/<repo> at `ref` whose files are given relative to the
+// repository root, and return its SHA-256 digest.
+function publishArchive(repo, ref, files = { "action.yml": ACTION_YML }) {
+  const source = fs.mkdtempSync(path.join(tmp, "source-"));
+  const root = path.join(source, `${repo}-${ref}`);
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  }
+  const zipFile = path.join(offlineDir, "owner", repo, `${ref}.zip`);
+  fs.mkdirSync(path.dirname(zipFile), { recursive: true });
+  execFileSync("zip", ["-qry", zipFile, path.basename(root)], { cwd: source });
+  return crypto.createHash("sha256").update(fs.readFileSync(zipFile)).digest("hex");
+}
+
+test("require-pinned-action accepts commit SHAs and action-sha256 and rejects moving refs", async () => {
+  publishArchive("pinned", COMMIT);
+  const sha256 = publishArchive("pinned", "v1");
+
+  await assert.rejects(
+    resolveAction("owner/pinned@v1", { requirePinned: true }),
+    /Action ref 'owner\/pinned@v1' is not pinned. Use a full commit SHA or provide action-sha256/
+  );
+  await assert.rejects(resolveAction("owner/pinned@0123456", { requirePinned: true }), /is not pinned/);
+
+  const bySha = await resolveAction(`owner/pinned@${COMMIT}`, { requirePinned: true });
+  assert.equal(bySha.commitSha, COMMIT);
+  const byDigest = await resolveAction("owner/pinned@v1", { requirePinned: true, sha256 });
+  assert.ok(fs.existsSync(path.join(byDigest.actionDir, "action.yml")));
+  // Without the option, moving refs are fine.
+  await resolveAction("owner/pinned@v1", {});
+});
+
+test("require-pinned-action applies to the uses steps of composite actions", async () => {
+  const invoke = async () => "";
+  const composite = (uses) => ({ runs: { using: "composite", steps: [{ id: "nested", uses }] } });
+  process.env.WITNESS_WRAPPER_REQUIRE_PINNED_ACTION = "true";
+  try {
+    for (const uses of ["owner/pinned@v1", "owner/pinned/sub@main", "docker://alpine:3.19"]) {
+      await assert.rejects(
+        executeCompositeSteps(tmp, composite(uses), { ...process.env }, invoke, ""),
+        new RegExp(`'${uses}' is not pinned. With require-pinned-action, composite steps must use a full commit SHA`)
+      );
+    }
+    // Pinned and local actions pass the check and fail later, on what the test left out.
+    await assert.rejects(
+      executeCompositeSteps(tmp, composite(`owner/missing@${COMMIT}`), { ...process.env }, invoke, ""),
+      /Offline mode: archive for owner\/missing@0123456789abcdef0123456789abcdef01234567 not found/
+    );
+    await assert.rejects(
+      executeCompositeSteps(tmp, composite("./missing"), { ...process.env }, invoke, ""),
+      /Local action '.\/missing' not found/
+    );
+  } finally {
+    delete process.env.WITNESS_WRAPPER_REQUIRE_PINNED_ACTION;
+  }
+});
+
+test("parses owner/repo[/path]@ref action references", () => {
+  assert.deepEqual(parseActionRef("actions/checkout@v4"), ["actions/checkout", "v4", ""]);
+  assert.deepEqual(parseActionRef(`owner/mono/actions/build@${COMMIT}`), ["owner/mono", COMMIT, "actions/build"]);
+  assert.deepEqual(parseActionRef("owner/repo//sub/@feature/x"), ["owner/repo", "feature/x", "sub"]);
+  for (const ref of ["owner/repo", "owner@v1", "owner/repo@", "owner/repo@v1@v2"]) {
+    assert.throws(() => parseActionRef(ref), /Invalid action-ref format. Expected 'owner\/repo@ref' or 'owner\/repo\/path@ref'/);
+  }
+});
+
+test("runs actions from a subdirectory of the repository", async () => {
+  const sha256 = publishArchive("mono", COMMIT, { "README.md": "mono\n", "actions/build/action.yml": ACTION_YML });
+  const { actionDir } = await resolveAction(`owner/mono/actions/build@${COMMIT}`, {});
+  assert.equal(path.basename(actionDir), "build");
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(actionDir, "action-source.json"), "utf8")), {
+    repository: "owner/mono",
+    path: "actions/build",
+    ref: COMMIT,
+    commit: COMMIT,
+    archiveSha256: sha256,
+  });
+  await assert.rejects(resolveAction(`owner/mono/actions/missing@${COMMIT}`, {}),
+    /No action.yml or action.yaml found at 'actions\/missing' in owner\/mono@0123456789abcdef0123456789abcdef01234567/);
+});
+
+test("rejects action paths that leave the repository", async () => {
+  const ref = "1111111111111111111111111111111111111111";
+  publishArchive("escape", ref, { "action.yml": ACTION_YML, "..hidden/action.yml": ACTION_YML });
+  await assert.rejects(resolveAction(`owner/escape/../..@${ref}`, {}), /Action path '..\/..' points outside of owner\/escape/);
+  await assert.rejects(resolveAction(`owner/escape/sub/../../x@${ref}`, {}), /points outside of owner\/escape/);
+  // A directory whose name starts with ".." is still inside.
+  const { actionDir } = await resolveAction(`owner/escape/..hidden@${ref}`, {});
+  assert.equal(path.basename(actionDir), "..hidden");
+});
+
+test("uses local actions from the workspace", async () => {
+  const local = path.join(process.env.GITHUB_WORKSPACE, ".github", "actions", "local");
+  fs.mkdirSync(local, { recursive: true });
+  fs.writeFileSync(path.join(local, "action.yaml"), ACTION_YML);
+  assert.deepEqual(await resolveAction("./.github/actions/local", { requirePinned: true }), { actionDir: local, commitSha: null });
+  await assert.rejects(resolveAction("./.github/actions/missing", {}), /Local action '.\/.github\/actions\/missing' not found/);
+});
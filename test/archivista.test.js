@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { getArchivistaConfig, uploadAttestations, summarizeAttestation, writeAttestationSummary } = require("../index.js");
+const { withInputs } = require("./helpers");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "archivista-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// A local stand-in for Archivista. `responses` lists the status of each POST /upload in
+// turn; once it is used up, uploads succeed.
+let responses = [];
+let requests = [];
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    const status = responses.length > 0 ? responses.shift() : 200;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(status === 200 ? JSON.stringify({ gitoid: "from-server" }) : "{}");
+  });
+});
+let serverUrl;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  responses = [];
+  requests = [];
+});
+
+// Run getArchivistaConfig with the given INPUT_* variables set, retrying without delay.
+function archivistaConfig(inputs = {}) {
+  return withInputs(inputs, () => ({ ...getArchivistaConfig(serverUrl), retryDelayMs: 1 }));
+}
+
+// A minimal signed-looking envelope for `step`, written to a file and summarized.
+function attestation(step) {
+  const statement = {
+    _type: "https://in-toto.io/Statement/v0.1",
+    predicateType: "https://witness.testifysec.com/attestation-collection/v0.1",
+    subject: [{ name: "artifact", digest: { sha256: "ab".repeat(32) } }],
+    predicate: { name: step, attestations: [{ type: "https://witness.dev/attestations/environment/v0.1", attestation: {} }] },
+  };
+  const file = path.join(tmp, `${step}-attestation.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    payload: Buffer.from(JSON.stringify(statement)).toString("base64"),
+    payloadType: "application/vnd.in-toto+json",
+    signatures: [{ keyid: "key-1", sig: "c2ln" }],
+  }));
+  return summarizeAttestation(file);
+}
+
+test("sends the token as a bearer token along with archivista-headers", async () => {
+  const archivista = archivistaConfig({
+    "archivista-token": "secret-token",
+    "archivista-headers": "X-Tenant: infra\nX-Team: build",
+  });
+  assert.equal(archivista.server, serverUrl.replace(/\/$/, ""));
+
+  const summary = attestation("auth");
+  const result = await uploadAttestations([summary], archivista);
+
+  assert.deepEqual(result, { uploaded: [summary.gitOID], spooled: [], error: null });
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, "POST");
+  assert.equal(requests[0].url, "/upload");
+  assert.equal(requests[0].headers.authorization, "Bearer secret-token");
+  assert.equal(requests[0].headers["x-tenant"], "infra");
+  assert.equal(requests[0].headers["x-team"], "build");
+  assert.equal(requests[0].body, fs.readFileSync(summary.file, "utf8"));
+});
+
+test("retries 503 responses", async () => {
+  responses = [503, 503];
+  const summary = attestation("retry");
+  const result = await uploadAttestations([summary], archivistaConfig({ "archivista-retries": "2" }));
+
+  assert.equal(requests.length, 3);
+  assert.deepEqual(result.uploaded, [summary.gitOID]);
+  assert.equal(result.error, null);
+});
+
+test("fails in the upload phase once the retries are used up", async () => {
+  responses = [503, 503, 503];
+  const first = attestation("exhausted");
+  const second = attestation("not-attempted");
+  const result = await uploadAttestations([first, second], archivistaConfig({ "archivista-retries": "1" }));
+
+  assert.equal(requests.length, 2);
+  assert.deepEqual(result.uploaded, []);
+  assert.match(result.error.message, /Upload of .*exhausted-attestation\.json to Archivista failed \(status 503\)/);
+  assert.equal(result.error.failurePhase, "upload");
+});
+
+test("does not retry client errors", async () => {
+  responses = [400];
+  const result = await uploadAttestations([attestation("rejected")], archivistaConfig({ "archivista-retries": "3" }));
+
+  assert.equal(requests.length, 1);
+  assert.match(result.error.message, /status 400/);
+});
+
+test("spools failed uploads and uploads them on the next run", async () => {
+  const spoolDir = path.join(tmp, "spool");
+  const archivista = archivistaConfig({ "archivista-retries": "0", "archivista-spool-dir": spoolDir });
+  const spooled = attestation("spooled");
+
+  responses = [503];
+  const first = await uploadAttestations([spooled], archivista);
+  assert.deepEqual(first, { uploaded: [], spooled: [spooled.gitOID], error: null });
+  assert.deepEqual(fs.readdirSync(spoolDir), [`${spooled.gitOID}.json`]);
+
+  requests = [];
+  const next = attestation("next");
+  const second = await uploadAttestations([next], archivista);
+  assert.deepEqual(second, { uploaded: [next.gitOID], spooled: [], error: null });
+  assert.deepEqual(requests.map((request) => request.body), [
+    fs.readFileSync(spooled.file, "utf8"),
+    fs.readFileSync(next.file, "utf8"),
+  ]);
+  assert.deepEqual(fs.readdirSync(spoolDir), []);
+});
+
+test("links only the uploaded attestations in the step summary", async () => {
+  const uploaded = attestation("linked");
+  const spooled = attestation("unlinked");
+  process.env.GITHUB_STEP_SUMMARY = path.join(tmp, "step-summary.md");
+  fs.writeFileSync(process.env.GITHUB_STEP_SUMMARY, "");
+  try {
+    await writeAttestationSummary([uploaded, spooled], archivistaConfig(), [uploaded.gitOID]);
+  } finally {
+    delete process.env.GITHUB_STEP_SUMMARY;
+  }
+
+  const summary = fs.readFileSync(path.join(tmp, "step-summary.md"), "utf8");
+  assert.ok(summary.includes(`<a href="${serverUrl}download/${uploaded.gitOID}">${uploaded.gitOID}</a>`));
+  assert.ok(summary.includes(`<code>${spooled.gitOID}</code>`));
+  assert.ok(!summary.includes(`download/${spooled.gitOID}`));
+  assert.equal(requests.length, 0);
+});
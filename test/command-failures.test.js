@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runWithWitness } = require("../index.js");
+
+// A stub witness that logs the command it was given, runs it, and fails like witness does:
+// "exit status N" when the command fails, a signing error when its arguments ask for one.
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "command-failures-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+const witness = path.join(tmp, "witness");
+const commandLog = path.join(tmp, "command.log");
+fs.writeFileSync(witness, `#!/bin/sh
+args="$*"
+while [ "$1" != "--" ]; do shift; done; shift
+printf '%s\\n' "$*" > "${commandLog}"
+"$@"; rc=$?
+if [ $rc -ne 0 ]; then echo "Error: failed to run attestors: exit status $rc"; exit 1; fi
+case "$args" in *--sign-fails*) echo "Error: failed to sign"; exit 1;; esac
+echo '{}' > "$(printf '%s' "$args" | sed 's/.*--outfile=\\([^ ]*\\).*/\\1/')"
+`, { mode: 0o755 });
+
+function witnessOptions(overrides) {
+  return {
+    step: "build",
+    attestations: ["environment"],
+    outfile: path.join(tmp, "build-attestation.json"),
+    intermediates: [],
+    extraArgs: [],
+    witnessBinary: witness,
+    attestationFiles: [],
+    ...overrides,
+  };
+}
+
+function workDir() {
+  return fs.mkdtempSync(path.join(tmp, "work-"));
+}
+
+test("runs the command as given and reports its exit code as a command failure", async () => {
+  const error = await runWithWitness(["sh", "-c", "exit 3"], witnessOptions(), { cwd: workDir(), env: process.env }).catch((e) => e);
+  assert.equal(fs.readFileSync(commandLog, "utf8"), "sh -c exit 3\n");
+  assert.equal(error.failurePhase, "command");
+  assert.equal(error.exitCode, 3);
+});
+
+test("does not mistake command output for a failed command", async () => {
+  const options = witnessOptions({ extraArgs: ["--sign-fails"] });
+  const error = await runWithWitness(["sh", "-c", "echo 'exit status 2'"], options, { cwd: workDir(), env: process.env }).catch((e) => e);
+  assert.equal(error.failurePhase, "witness");
+  assert.equal(error.exitCode, 1);
+});
+
+test("attests failed commands behind the recorder with attest-failed-commands", async () => {
+  const cwd = workDir();
+  const options = witnessOptions({ attestFailedCommands: true });
+  const error = await runWithWitness(["sh", "-c", "exit 4"], options, { cwd, env: process.env }).catch((e) => e);
+
+  assert.match(fs.readFileSync(commandLog, "utf8"), /index\.js sh -c exit 4\n$/);
+  assert.match(error.message, /failed with exit code 4; its attestation was still created/);
+  assert.equal(error.failurePhase, "command");
+  assert.equal(error.exitCode, 4);
+  assert.deepEqual(options.attestationFiles, [options.outfile]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(cwd, "command-exit-code.json"), "utf8")), {
+    command: ["sh", "-c", "exit 4"],
+    exitCode: 4,
+  });
+});
+
+test("succeeds behind the recorder when the command succeeds", async () => {
+  const cwd = workDir();
+  await runWithWitness(["sh", "-c", "true"], witnessOptions({ attestFailedCommands: true }), { cwd, env: process.env });
+  assert.equal(JSON.parse(fs.readFileSync(path.join(cwd, "command-exit-code.json"), "utf8")).exitCode, 0);
+});
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { executeCompositeSteps, parseFileCommands } = require("../index.js");
+
+// Step scripts and command files go to a temporary directory that is removed afterwards.
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "composite-test-"));
+process.env.TMPDIR = tmp;
+process.env.GITHUB_WORKSPACE = tmp;
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Run each step's command directly, recording its label and output, as the wrapper does
+// without composite-step-attestations.
+function runner() {
+  const labels = [];
+  const outputs = {};
+  const invoke = async (commandArgs, { cwd, env }, label) => {
+    labels.push(label);
+    outputs[label] = execFileSync(commandArgs[0], commandArgs.slice(1), { cwd, env, encoding: "utf8" });
+    return outputs[label];
+  };
+  return { labels, outputs, invoke };
+}
+
+function callerEnv() {
+  const output = path.join(fs.mkdtempSync(path.join(tmp, "caller-")), "output");
+  fs.writeFileSync(output, "");
+  return { ...process.env, GITHUB_OUTPUT: output };
+}
+
+const step = (id, run, extra = {}) => ({ id, shell: "sh", run, ...extra });
+
+test("evaluates if: against the status left by earlier steps", async () => {
+  const { labels, outputs, invoke } = runner();
+  const config = {
+    runs: {
+      using: "composite",
+      steps: [
+        step("first", "echo first"),
+        step("broken", "exit 2"),
+        step("skipped", "echo never"),
+        step("on-failure", "echo 'outcome=${{ steps.broken.outcome }} skipped=${{ steps.skipped.outcome }}'", { if: "failure()" }),
+        step("explicit", "echo never", { if: "steps.first.outcome == 'success'" }),
+        step("cleanup", "echo cleanup", { if: "always()" }),
+        step("also-broken", "exit 3", { if: "always()" }),
+      ],
+    },
+  };
+
+  await assert.rejects(executeCompositeSteps(tmp, config, callerEnv(), invoke, ""), /Command failed: sh -e .*/);
+  assert.deepEqual(labels, ["first", "broken", "on-failure", "cleanup", "also-broken"]);
+  assert.equal(outputs["on-failure"], "outcome=failure skipped=skipped\n");
+});
+
+test("rejects with the first failure once all steps ran", async () => {
+  const { invoke } = runner();
+  const config = { runs: { using: "composite", steps: [step("a", "exit 4"), step("b", "exit 5", { if: "always()" })] } };
+  const error = await executeCompositeSteps(tmp, config, callerEnv(), invoke, "").catch((e) => e);
+  assert.equal(error.status, 4);
+});
+
+test("keeps going after a step with continue-on-error", async () => {
+  const { labels, invoke } = runner();
+  const env = callerEnv();
+  const config = {
+    outputs: {
+      outcome: { value: "${{ steps.flaky.outcome }}/${{ steps.flaky.conclusion }}" },
+      next: { value: "${{ steps.next.outputs.ran }}" },
+    },
+    runs: {
+      using: "composite",
+      steps: [
+        step("flaky", "exit 1", { "continue-on-error": true }),
+        step("next", "echo ran=yes >> \"$GITHUB_OUTPUT\""),
+        step("on-failure", "echo never", { if: "failure()" }),
+      ],
+    },
+  };
+
+  await executeCompositeSteps(tmp, config, env, invoke, "prefix-");
+  assert.deepEqual(labels, ["prefix-flaky", "prefix-next"]);
+  assert.deepEqual(parseFileCommands(fs.readFileSync(env.GITHUB_OUTPUT, "utf8")), { outcome: "failure/success", next: "yes" });
+});
+
+test("passes heredoc outputs, environment and PATH between steps and to declared outputs", async () => {
+  const { invoke } = runner();
+  const env = callerEnv();
+  const binDir = path.join(tmp, "extra-bin");
+  const config = {
+    inputs: { who: { default: "world" } },
+    outputs: {
+      message: { description: "Multiline message", value: "${{ steps.write.outputs.message }}" },
+      seen: { value: "${{ steps.read.outputs.seen }}" },
+      undeclared: { description: "No value" },
+    },
+    runs: {
+      using: "composite",
+      steps: [
+        step("write", [
+          "{",
+          "  echo 'message<<EOF'",
+          "  echo 'hello ${{ inputs.who }}'",
+          "  echo 'second=line'",
+          "  echo EOF",
+          "} >> \"$GITHUB_OUTPUT\"",
+          "echo GREETING=hi >> \"$GITHUB_ENV\"",
+          `echo ${binDir} >> "$GITHUB_PATH"`,
+        ].join("\n")),
+        step("read", "echo \"seen=$GREETING $STEP_ENV ${PATH%%:*}\" >> \"$GITHUB_OUTPUT\"", { env: { STEP_ENV: "${{ steps.write.outcome }}" } }),
+      ],
+    },
+  };
+
+  await executeCompositeSteps(tmp, config, env, invoke, "");
+  assert.deepEqual(parseFileCommands(fs.readFileSync(env.GITHUB_OUTPUT, "utf8")), {
+    message: "hello world\nsecond=line",
+    seen: `hi success ${binDir}`,
+    undeclared: "",
+  });
+});
+
+test("requires a shell for run steps and run or uses for every step", async () => {
+  const { invoke } = runner();
+  await assert.rejects(
+    executeCompositeSteps(tmp, { runs: { steps: [{ id: "a", run: "echo" }] } }, callerEnv(), invoke, ""),
+    /Composite step a uses 'run' but does not declare a 'shell'/
+  );
+  await assert.rejects(
+    executeCompositeSteps(tmp, { runs: { steps: [{ id: "b", name: "nothing" }] } }, callerEnv(), invoke, ""),
+    /Composite step b must define either 'run' or 'uses'/
+  );
+  await assert.rejects(executeCompositeSteps(tmp, { runs: { steps: [] } }, callerEnv(), invoke, ""), /does not define any steps/);
+});
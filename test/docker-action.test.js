@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { prepareDockerAction } = require("../index.js");
+
+// A fake `docker` on PATH that logs its arguments and answers `image inspect`.
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "docker-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+const binDir = path.join(tmp, "bin");
+const callLog = path.join(tmp, "docker-calls.log");
+fs.mkdirSync(binDir);
+fs.writeFileSync(path.join(binDir, "docker"), `#!/bin/sh
+printf '%s\\n' "$*" >> "${callLog}"
+if [ "$1" = image ] && [ "$2" = inspect ]; then
+  case "$5" in
+    action-wrapper/*) echo '[] sha256:1111111111111111111111111111111111111111111111111111111111111111' ;;
+    *) echo '["alpine@sha256:2222222222222222222222222222222222222222222222222222222222222222"] sha256:3333' ;;
+  esac
+fi
+`, { mode: 0o755 });
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+
+function dockerCalls() {
+  const calls = fs.existsSync(callLog) ? fs.readFileSync(callLog, "utf8").trim().split("\n") : [];
+  fs.rmSync(callLog, { force: true });
+  return calls;
+}
+
+// An action directory with the given metadata and, optionally, the action-source.json the
+// wrapper writes for downloaded actions.
+function actionDir(name, source) {
+  const dir = path.join(tmp, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "Dockerfile"), "FROM alpine\n");
+  if (source) fs.writeFileSync(path.join(dir, "action-source.json"), JSON.stringify(source));
+  return dir;
+}
+
+function materialDir() {
+  return fs.mkdtempSync(path.join(tmp, "materials-"));
+}
+
+function runnerEnv() {
+  const workspace = fs.mkdtempSync(path.join(tmp, "workspace-"));
+  const output = path.join(workspace, "github-output");
+  fs.writeFileSync(output, "");
+  return {
+    PATH: process.env.PATH,
+    HOME: "/home/runner",
+    CI: "true",
+    GITHUB_WORKSPACE: workspace,
+    GITHUB_OUTPUT: output,
+    GITHUB_SHA: "abc123",
+    RUNNER_OS: "Linux",
+    INPUT_WHO: "Mona",
+    UNRELATED: "not passed",
+  };
+}
+
+test("builds the image from the Dockerfile and returns the runner's docker run arguments", async () => {
+  const dir = actionDir("cache/owner.repo/v1/x64", { repository: "Owner/Repo", path: "sub/dir", ref: "v1", commit: "0123456789abcdef0123456789abcdef01234567" });
+  const env = runnerEnv();
+  const materials = materialDir();
+  const config = {
+    inputs: { who: { default: "world" }, greeting: { default: "Hello" } },
+    runs: {
+      using: "docker",
+      image: "Dockerfile",
+      entrypoint: "/entrypoint.sh",
+      env: { GREETING: "${{ inputs.greeting }}" },
+      args: ["${{ inputs.who }}", "--sha=${{ github.sha }}"],
+    },
+  };
+
+  const command = await prepareDockerAction(dir, config, env, materials);
+
+  const image = "action-wrapper/owner/repo/sub-dir:0123456789abcdef0123456789abcdef01234567";
+  assert.deepEqual(dockerCalls(), [
+    `build -t ${image} -f ${path.join(dir, "Dockerfile")} ${dir}`,
+    `image inspect --format {{json .RepoDigests}} {{.Id}} ${image}`,
+  ]);
+  assert.deepEqual(command, [
+    "docker", "run", "--rm",
+    "-v", `${env.GITHUB_WORKSPACE}:/github/workspace`, "--workdir", "/github/workspace",
+    "-v", `${env.GITHUB_OUTPUT}:/github/file_commands/github-output`,
+    ...(fs.existsSync("/var/run/docker.sock") ? ["-v", "/var/run/docker.sock:/var/run/docker.sock"] : []),
+    "-e", "CI", "-e", "GITHUB_SHA", "-e", "RUNNER_OS", "-e", "INPUT_WHO",
+    "-e", "GITHUB_WORKSPACE=/github/workspace",
+    "-e", "HOME=/github/home",
+    "-e", "GITHUB_OUTPUT=/github/file_commands/github-output",
+    "-e", "GREETING=Hello",
+    "--entrypoint", "/entrypoint.sh",
+    image,
+    "Mona", "--sha=abc123",
+  ]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(materials, "docker-image-digest.json"), "utf8")), {
+    image: "Dockerfile",
+    ref: image,
+    digest: "sha256:1111111111111111111111111111111111111111111111111111111111111111",
+  });
+});
+
+test("pulls docker:// images and records their registry digest", async () => {
+  const materials = materialDir();
+  const config = { runs: { using: "docker", image: "docker://alpine:3.19" } };
+
+  const command = await prepareDockerAction(actionDir("pulled"), config, runnerEnv(), materials);
+
+  assert.deepEqual(dockerCalls(), [
+    "pull alpine:3.19",
+    "image inspect --format {{json .RepoDigests}} {{.Id}} alpine:3.19",
+  ]);
+  assert.equal(command[command.length - 1], "alpine:3.19");
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(materials, "docker-image-digest.json"), "utf8")), {
+    image: "docker://alpine:3.19",
+    ref: "alpine:3.19",
+    digest: "alpine@sha256:2222222222222222222222222222222222222222222222222222222222222222",
+  });
+});
+
+test("tags images of local actions by their path in the workspace", async () => {
+  const env = runnerEnv();
+  const dir = path.join(env.GITHUB_WORKSPACE, ".github", "actions", "My_Action");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "Dockerfile"), "FROM alpine\n");
+  process.env.GITHUB_WORKSPACE = env.GITHUB_WORKSPACE;
+  try {
+    const command = await prepareDockerAction(dir, { runs: { using: "docker", image: "Dockerfile" } }, env, materialDir());
+    assert.equal(command[command.length - 1], "action-wrapper/local/github-actions-my-action:latest");
+  } finally {
+    delete process.env.GITHUB_WORKSPACE;
+    dockerCalls();
+  }
+});
+
+test("fails when the Dockerfile is missing", async () => {
+  await assert.rejects(
+    prepareDockerAction(tmp, { runs: { using: "docker", image: "missing/Dockerfile" } }, runnerEnv(), materialDir()),
+    /Dockerfile .*missing\/Dockerfile does not exist/
+  );
+  assert.deepEqual(dockerCalls(), []);
+});
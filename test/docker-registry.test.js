@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { prepareDockerAction } = require("../index.js");
+
+// Runs a `docker://` action from a local registry:2 with the real docker CLI. Skipped where
+// docker is not available.
+let hasDocker = true;
+try {
+  execFileSync("docker", ["version"], { stdio: "ignore" });
+} catch (error) {
+  hasDocker = false;
+}
+
+const docker = (...args) => execFileSync("docker", args, { encoding: "utf8" }).trim();
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "docker-registry-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let registry;
+let image;
+test.before(() => {
+  if (!hasDocker) return;
+  registry = docker("run", "-d", "--rm", "-p", "127.0.0.1::5000", "registry:2");
+  const port = docker("port", registry, "5000/tcp").split("\n")[0].split(":").pop();
+  image = `localhost:${port}/action-wrapper-test/alpine:3.19`;
+  docker("pull", "alpine:3.19");
+  docker("tag", "alpine:3.19", image);
+  // The registry may take a moment to accept connections.
+  for (let attempt = 1; ; attempt++) {
+    try {
+      docker("push", image);
+      break;
+    } catch (error) {
+      if (attempt === 10) throw error;
+      execFileSync("sleep", ["1"]);
+    }
+  }
+  // Drop the local tag, so the wrapper has to pull the image from the registry.
+  docker("rmi", image);
+});
+test.after(() => {
+  if (registry) docker("rm", "-f", registry);
+});
+
+test("pulls a docker:// action from a local registry, records its digest and runs it", { skip: !hasDocker && "docker is not available" }, async () => {
+  const workspace = fs.mkdtempSync(path.join(tmp, "workspace-"));
+  const actionDir = fs.mkdtempSync(path.join(tmp, "action-"));
+  const materials = fs.mkdtempSync(path.join(tmp, "materials-"));
+  const env = { PATH: process.env.PATH, GITHUB_WORKSPACE: workspace, INPUT_GREETING: "hello from the registry" };
+  const config = {
+    inputs: { greeting: {} },
+    runs: { using: "docker", image: `docker://${image}`, entrypoint: "sh", args: ["-c", "echo \"$INPUT_GREETING\" > greeting.txt"] },
+  };
+
+  const command = await prepareDockerAction(actionDir, config, env, materials);
+
+  const recorded = JSON.parse(fs.readFileSync(path.join(materials, "docker-image-digest.json"), "utf8"));
+  const [repoDigest] = JSON.parse(docker("image", "inspect", "--format", "{{json .RepoDigests}}", image));
+  assert.equal(recorded.ref, image);
+  assert.equal(recorded.digest, repoDigest);
+  assert.match(recorded.digest, /^localhost:\d+\/action-wrapper-test\/alpine@sha256:[0-9a-f]{64}$/);
+  assert.deepEqual(fs.readdirSync(actionDir), []);
+
+  execFileSync(command[0], command.slice(1), { env, stdio: "ignore" });
+  assert.equal(fs.readFileSync(path.join(workspace, "greeting.txt"), "utf8"), "hello from the registry\n");
+});
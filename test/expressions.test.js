@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  evaluateExpression,
+  evaluateExpressions,
+  evaluateCondition,
+  buildExpressionContexts,
+  applyActionInputs,
+  parseFileCommands,
+} = require("../index.js");
+
+function contexts() {
+  return {
+    inputs: { name: "Mona", count: "3" },
+    github: { event_name: "push", ref: "refs/heads/main" },
+    runner: { os: "Linux" },
+    env: { STAGE: "prod" },
+    steps: { build: { outputs: { result: "ok", list: "[\"a\",\"b\"]" }, outcome: "success", conclusion: "success" } },
+  };
+}
+
+function evaluate(expression, status = "success") {
+  return evaluateExpression(expression, contexts(), status);
+}
+
+test("applies the operator precedence of the runner", () => {
+  assert.equal(evaluate("true || false && false"), true);
+  assert.equal(evaluate("(true || false) && false"), false);
+  assert.equal(evaluate("!false && false"), false);
+  assert.equal(evaluate("!true == false"), true);
+  // Relational operators bind tighter than equality.
+  assert.equal(evaluate("1 < 2 == true"), true);
+  assert.equal(evaluate("2 <= 1 != 3 > 2"), true);
+  assert.equal(evaluate("1 == 1 == true"), true);
+});
+
+test("returns operand values from && and ||", () => {
+  assert.equal(evaluate("inputs.missing || 'fallback'"), "fallback");
+  assert.equal(evaluate("inputs.name && inputs.count"), "3");
+  assert.equal(evaluate("'' && 'never'"), "");
+});
+
+test("compares like the runner", () => {
+  assert.equal(evaluate("'ABC' == 'abc'"), true);
+  assert.equal(evaluate("inputs.count == 3"), true);
+  assert.equal(evaluate("inputs.count > 2.5"), true);
+  assert.equal(evaluate("null == 0"), true);
+  assert.equal(evaluate("github.event_name != 'pull_request'"), true);
+});
+
+test("reads context properties case-insensitively, with dots or brackets", () => {
+  assert.equal(evaluate("steps.build.outputs.result"), "ok");
+  assert.equal(evaluate("steps['build'].OUTPUTS['result']"), "ok");
+  assert.equal(evaluate("Inputs.NAME"), "Mona");
+  assert.equal(evaluate("steps.missing.outputs.result"), undefined);
+});
+
+test("supports the helper functions", () => {
+  assert.equal(evaluate("contains(fromJSON(steps.build.outputs.list), 'B')"), true);
+  assert.equal(evaluate("startsWith(github.ref, 'refs/heads/')"), true);
+  assert.equal(evaluate("endsWith(github.ref, '/main')"), true);
+  assert.equal(evaluate("format('{0}-{1}', inputs.name, env.STAGE)"), "Mona-prod");
+  assert.equal(evaluate("join(fromJSON(steps.build.outputs.list), '+')"), "a+b");
+  assert.equal(evaluate("toJSON(inputs)"), JSON.stringify(contexts().inputs, null, 2));
+});
+
+test("evaluates status functions against the status so far", () => {
+  assert.equal(evaluateCondition("success()", contexts(), "success"), true);
+  assert.equal(evaluateCondition("success()", contexts(), "failure"), false);
+  assert.equal(evaluateCondition("failure()", contexts(), "failure"), true);
+  assert.equal(evaluateCondition("always()", contexts(), "failure"), true);
+  assert.equal(evaluateCondition("cancelled()", contexts(), "failure"), false);
+  // Conditions without a status function get an implicit success() &&.
+  assert.equal(evaluateCondition("inputs.name == 'Mona'", contexts(), "success"), true);
+  assert.equal(evaluateCondition("inputs.name == 'Mona'", contexts(), "failure"), false);
+  assert.equal(evaluateCondition("${{ failure() && steps.build.outcome == 'success' }}", contexts(), "failure"), true);
+});
+
+test("substitutes expressions in strings", () => {
+  assert.equal(evaluateExpressions("Hello ${{ inputs.name }} on ${{ runner.os }}${{ inputs.missing }}", contexts()), "Hello Mona on Linux");
+  assert.equal(evaluateExpressions("${{ fromJSON(steps.build.outputs.list) }}", contexts()), "[\"a\",\"b\"]");
+});
+
+test("rejects what it does not understand", () => {
+  assert.throws(() => evaluate("inputs.name ="), /Unsupported expression/);
+  assert.throws(() => evaluate("hashFiles('**/package-lock.json')"), /Unsupported function 'hashFiles'/);
+  assert.throws(() => evaluate("unknown.value"), /Unsupported context 'unknown'/);
+});
+
+test("rejects contexts the wrapper cannot provide", () => {
+  for (const name of ["job", "matrix", "strategy", "secrets", "vars", "needs"]) {
+    assert.throws(() => evaluate(`${name}.value`), new RegExp(`The '${name}' context is not available to nested actions`));
+  }
+  assert.throws(() => evaluate("github.token"), /github\.token is not available to nested actions/);
+  assert.throws(() => evaluate("github['TOKEN']"), /github\.token is not available to nested actions/);
+});
+
+test("builds the github and runner contexts from the environment", () => {
+  const env = { GITHUB_REPOSITORY: "owner/repo", RUNNER_OS: "Linux", INPUT_NAME: "Mona", GITHUB_TOKEN: "not-read" };
+  const built = buildExpressionContexts("/actions/greet", { inputs: { name: {}, greeting: { default: "Hello" } } }, env);
+  assert.equal(built.github.repository, "owner/repo");
+  assert.equal(built.github.action_path, "/actions/greet");
+  assert.equal(built.runner.os, "Linux");
+  assert.deepEqual(built.inputs, { name: "Mona", greeting: "Hello" });
+  assert.throws(() => evaluateExpression("github.token", built, "success"), /github\.token is not available/);
+});
+
+test("fails clearly on input defaults that use github.token", () => {
+  const config = { inputs: { token: { default: "${{ github.token }}", required: true } } };
+  assert.throws(
+    () => applyActionInputs("/actions/checkout", config, {}),
+    /Could not evaluate the default of input 'token' of the nested action: github\.token is not available/
+  );
+  const env = { INPUT_TOKEN: "given" };
+  applyActionInputs("/actions/checkout", config, env);
+  assert.equal(env.INPUT_TOKEN, "given");
+});
+
+test("parses file commands with heredoc values", () => {
+  const delimiter = "ghadelimiter_1234";
+  const content = [
+    "plain=value=with=equals",
+    `multi<<${delimiter}`,
+    "line one",
+    "",
+    "name=not a new entry",
+    delimiter,
+    "empty=",
+    "EOF_NAME<<EOF",
+    "EOF",
+    "",
+  ].join("\n");
+  assert.deepEqual(parseFileCommands(content), {
+    plain: "value=with=equals",
+    multi: "line one\n\nname=not a new entry",
+    empty: "",
+    EOF_NAME: "",
+  });
+  assert.deepEqual(parseFileCommands("a=1\r\nb<<X\r\ntwo\r\nX\r\n"), { a: "1", b: "two" });
+});
+
+test("rejects malformed file commands", () => {
+  assert.throws(() => parseFileCommands("multi<<EOF\nno end\n"), /Matching delimiter 'EOF' not found for 'multi'/);
+  assert.throws(() => parseFileCommands("no equals sign"), /Invalid file command line: no equals sign/);
+});
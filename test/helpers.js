@@ -0,0 +1,23 @@
+const core = require("@actions/core");
+
+// Keep the tokens and keys the tests pass as inputs out of the test output.
+core.setSecret = () => {};
+
+// Set the given INPUT_* variables; returns a function that removes them again.
+function setInputs(inputs) {
+  const names = Object.keys(inputs).map((name) => `INPUT_${name.toUpperCase()}`);
+  Object.entries(inputs).forEach(([name, value]) => { process.env[`INPUT_${name.toUpperCase()}`] = value; });
+  return () => names.forEach((name) => delete process.env[name]);
+}
+
+// Call `fn` with the given INPUT_* variables set and return its result.
+function withInputs(inputs, fn) {
+  const unset = setInputs(inputs);
+  try {
+    return fn();
+  } finally {
+    unset();
+  }
+}
+
+module.exports = { setInputs, withInputs };
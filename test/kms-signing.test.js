@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync, spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { getWitnessOptions, validateWitnessOptions, runWithWitness } = require("../index.js");
+const { withInputs } = require("./helpers");
+
+// Signs an attestation with kms-ref against the transit engine of a Vault dev server, with the
+// real witness and vault binaries. Skipped where either is not on PATH.
+function onPath(binary) {
+  try {
+    execFileSync(binary, ["version"], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+const skip = !(onPath("witness") && onPath("vault")) && "witness and vault are not on PATH";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "kms-signing-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let vault;
+let vaultAddr;
+const vaultToken = "root";
+const vaultApi = (method, urlPath, data) =>
+  axios({ method, url: `${vaultAddr}/v1/${urlPath}`, data, headers: { "X-Vault-Token": vaultToken } });
+
+test.before(async () => {
+  if (skip) return;
+  const port = await new Promise((resolve) => {
+    const server = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+  vaultAddr = `http://127.0.0.1:${port}`;
+  vault = spawn("vault", ["server", "-dev", `-dev-root-token-id=${vaultToken}`, `-dev-listen-address=127.0.0.1:${port}`], { stdio: "ignore" });
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await vaultApi("get", "sys/health");
+      break;
+    } catch (error) {
+      if (attempt === 50) throw error;
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+  await vaultApi("post", "sys/mounts/transit", { type: "transit" });
+  await vaultApi("post", "transit/keys/witness", { type: "ecdsa-p256" });
+});
+test.after(() => {
+  if (vault) vault.kill();
+});
+
+// DSSE pre-authentication encoding, the bytes the envelope signature covers.
+function pae(payloadType, payload) {
+  return Buffer.concat([
+    Buffer.from(`DSSEv1 ${Buffer.byteLength(payloadType)} ${payloadType} ${payload.length} `),
+    payload,
+  ]);
+}
+
+test("signs with the Vault transit key given as kms-ref", { skip }, async () => {
+  const outfile = path.join(tmp, "kms-attestation.json");
+  const options = withInputs({
+    step: "kms",
+    attestations: "environment",
+    outfile,
+    "kms-ref": "hashivault://witness",
+    "kms-hash-type": "sha256",
+  }, getWitnessOptions);
+  validateWitnessOptions(options);
+
+  const env = { ...process.env, VAULT_ADDR: vaultAddr, VAULT_TOKEN: vaultToken };
+  await runWithWitness(["true"], options, { cwd: fs.mkdtempSync(path.join(tmp, "work-")), env });
+
+  const envelope = JSON.parse(fs.readFileSync(outfile, "utf8"));
+  const key = (await vaultApi("get", "transit/keys/witness")).data.data.keys["1"].public_key;
+  assert.equal(envelope.signatures.length, 1);
+  assert.ok(crypto.verify(
+    "sha256",
+    pae(envelope.payloadType, Buffer.from(envelope.payload, "base64")),
+    key,
+    Buffer.from(envelope.signatures[0].sig, "base64")
+  ), "the signature verifies with the Vault key");
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { resolveNodeRuntime } = require("../index.js");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "node-runtime-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+process.env.RUNNER_TOOL_CACHE = path.join(tmp, "tool-cache");
+process.env.RUNNER_TEMP = path.join(tmp, "runner-temp");
+fs.mkdirSync(process.env.RUNNER_TEMP);
+
+// A local Node.js mirror with releases of a made-up major version 99, whose `node` is a
+// shell script. SHASUMS256.txt is served from `checksums`, so tests can break it.
+const ARCHES = { x64: "x64", arm64: "arm64", arm: "armv7l", ppc64: "ppc64le", s390x: "s390x" };
+const mirrorDir = path.join(tmp, "mirror");
+function publishRelease(version) {
+  const folder = `node-v${version}-${process.platform}-${ARCHES[process.arch] || process.arch}`;
+  const build = fs.mkdtempSync(path.join(tmp, "build-"));
+  fs.mkdirSync(path.join(build, folder, "bin"), { recursive: true });
+  fs.writeFileSync(path.join(build, folder, "bin", "node"), `#!/bin/sh\necho v${version}\n`, { mode: 0o755 });
+  const archive = path.join(mirrorDir, `v${version}`, `${folder}.tar.gz`);
+  fs.mkdirSync(path.dirname(archive), { recursive: true });
+  execFileSync("tar", ["-czf", archive, "-C", build, folder]);
+  const sha256 = crypto.createHash("sha256").update(fs.readFileSync(archive)).digest("hex");
+  return { name: path.basename(archive), sha256 };
+}
+
+let checksums = "";
+const requests = [];
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+  if (req.url === "/dist/index.json") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify([{ version: "v100.0.0" }, { version: "v99.1.0" }, { version: "v99.0.0" }]));
+  }
+  if (req.url === "/dist/v99.1.0/SHASUMS256.txt") {
+    res.writeHead(200);
+    return res.end(checksums);
+  }
+  const file = path.join(mirrorDir, req.url.replace(/^\/dist\//, ""));
+  if (req.url.startsWith("/dist/") && fs.existsSync(file)) {
+    res.writeHead(200);
+    return res.end(fs.readFileSync(file));
+  }
+  res.writeHead(404);
+  res.end();
+});
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env["INPUT_NODE-MIRROR-URL"] = `http://127.0.0.1:${server.address().port}/dist/`;
+});
+test.after(() => {
+  server.close();
+  delete process.env["INPUT_NODE-MIRROR-URL"];
+});
+
+const release = publishRelease("99.1.0");
+
+test("does not extract or cache a runtime whose digest is not in SHASUMS256.txt", async () => {
+  checksums = `${"0".repeat(64)}  ${release.name}\n`;
+  await assert.rejects(resolveNodeRuntime("node99"), new RegExp(`Node.js archive digest mismatch: SHASUMS256.txt lists ${"0".repeat(64)}, got ${release.sha256}`));
+
+  checksums = `${release.sha256}  node-v99.1.0-other-platform.tar.gz\n`;
+  await assert.rejects(resolveNodeRuntime("node99"), new RegExp(`${release.name} is not listed in SHASUMS256.txt of Node.js 99.1.0`));
+  assert.equal(fs.existsSync(path.join(process.env.RUNNER_TOOL_CACHE, "node")), false);
+});
+
+test("downloads the latest release of the major version from the mirror after verifying it", async () => {
+  checksums = `${"1".repeat(64)}  node-v99.1.0-win-x64.zip\n${release.sha256}  ${release.name}\n`;
+  requests.length = 0;
+  const runtime = await resolveNodeRuntime("node99");
+
+  assert.equal(runtime.version, "99.1.0");
+  assert.equal(execFileSync(runtime.nodePath, { encoding: "utf8" }), "v99.1.0\n");
+  assert.ok(runtime.nodePath.startsWith(path.join(process.env.RUNNER_TOOL_CACHE, "node", "99.1.0")));
+  assert.deepEqual(requests, ["/dist/index.json", `/dist/v99.1.0/${release.name}`, "/dist/v99.1.0/SHASUMS256.txt"]);
+
+  // Later runs use the cached runtime.
+  requests.length = 0;
+  assert.equal((await resolveNodeRuntime("node99")).nodePath, runtime.nodePath);
+  assert.deepEqual(requests, []);
+});
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const core = require("@actions/core");
+const { buildWitnessRunArgs, refreshFulcioToken, keepFulcioTokenFresh, runCleanupTasks } = require("../index.js");
+require("./helpers");
+
+process.env.RUNNER_TEMP = fs.mkdtempSync(path.join(os.tmpdir(), "oidc-test-"));
+test.after(() => fs.rmSync(process.env.RUNNER_TEMP, { recursive: true, force: true }));
+
+// An unsigned JWT that expires in `seconds`.
+function jwt(subject, seconds) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode({ alg: "none" })}.${encode({ sub: subject, exp: Math.floor(Date.now() / 1000) + seconds })}.`;
+}
+
+function sigstoreOptions() {
+  return {
+    step: "build",
+    attestations: ["environment"],
+    enableSigstore: true,
+    useGitHubOidc: true,
+    oidcAudience: "sigstore",
+  };
+}
+
+test("writes the OIDC token to a private file passed with --signer-fulcio-token-path", async () => {
+  const audiences = [];
+  const token = jwt("first", 600);
+  core.getIDToken = async (audience) => {
+    audiences.push(audience);
+    return token;
+  };
+  const options = sigstoreOptions();
+  await refreshFulcioToken(options);
+
+  assert.deepEqual(audiences, ["sigstore"]);
+  assert.equal(fs.readFileSync(options.fulcioTokenPath, "utf8"), token);
+  assert.equal(fs.statSync(options.fulcioTokenPath).mode & 0o777, 0o600);
+  const args = buildWitnessRunArgs(options);
+  assert.ok(args.includes(`--signer-fulcio-token-path=${options.fulcioTokenPath}`));
+  assert.ok(!args.some((arg) => arg.startsWith("--signer-fulcio-token=")));
+
+  runCleanupTasks();
+  assert.equal(fs.existsSync(path.dirname(options.fulcioTokenPath)), false);
+});
+
+test("requests a new token before every witness run", async () => {
+  const tokens = [jwt("token-1", 600), jwt("token-2", 600)];
+  let count = 0;
+  core.getIDToken = async () => tokens[count++];
+  const options = sigstoreOptions();
+  await refreshFulcioToken(options);
+  await refreshFulcioToken(options);
+  assert.equal(count, 2);
+  assert.equal(fs.readFileSync(options.fulcioTokenPath, "utf8"), tokens[1]);
+  runCleanupTasks();
+});
+
+test("replaces the token file while witness runs when the token is about to expire", async () => {
+  const tokens = [jwt("expiring", 30), jwt("fresh", 600)];
+  let count = 0;
+  core.getIDToken = async () => tokens[Math.min(count++, 1)];
+  const options = sigstoreOptions();
+  await refreshFulcioToken(options);
+
+  const stop = keepFulcioTokenFresh(options, 10);
+  try {
+    for (let i = 0; i < 100 && count < 2; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  } finally {
+    stop();
+  }
+  // The fresh token is valid long enough, so it is not replaced again.
+  assert.equal(count, 2);
+  assert.equal(fs.readFileSync(options.fulcioTokenPath, "utf8"), tokens[1]);
+  runCleanupTasks();
+});
+
+test("explains the missing id-token permission", async () => {
+  core.getIDToken = async () => {
+    throw new Error("Unable to get ACTIONS_ID_TOKEN_REQUEST_URL env variable");
+  };
+  await assert.rejects(refreshFulcioToken(sigstoreOptions()), /Grant the job 'permissions: id-token: write', or pass fulcio-token/);
+});
+
+test("writes a given fulcio-token to the token file instead of the command line", async () => {
+  core.getIDToken = async () => assert.fail("no token should be requested");
+  const options = { ...sigstoreOptions(), useGitHubOidc: false, fulcioToken: "given" };
+  await refreshFulcioToken(options);
+  keepFulcioTokenFresh(options, 10)();
+
+  assert.equal(fs.readFileSync(options.fulcioTokenPath, "utf8"), "given");
+  assert.equal(fs.statSync(options.fulcioTokenPath).mode & 0o777, 0o600);
+  const args = buildWitnessRunArgs(options);
+  assert.ok(args.includes(`--signer-fulcio-token-path=${options.fulcioTokenPath}`));
+  assert.ok(!args.some((arg) => arg.includes("given")));
+
+  // Later witness runs reuse the file.
+  const tokenPath = options.fulcioTokenPath;
+  await refreshFulcioToken(options);
+  assert.equal(options.fulcioTokenPath, tokenPath);
+  runCleanupTasks();
+  assert.equal(fs.existsSync(tokenPath), false);
+});
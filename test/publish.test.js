@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { attachToRelease, publishAttestations } = require("../index.js");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "publish-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+process.env.RUNNER_TEMP = tmp;
+
+// A local mock of the GitHub API (release of tag v1 with one asset), the artifact
+// service's twirp endpoints and the blob storage the artifact zip is uploaded to.
+let requests = [];
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const url = new URL(req.url, serverUrl);
+    const body = Buffer.concat(chunks);
+    requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers, body });
+    const reply = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(data === undefined ? "" : JSON.stringify(data));
+    };
+    if (req.method === "GET" && url.pathname === "/repos/owner/repo/releases/tags/v1") {
+      reply(200, {
+        id: 1,
+        upload_url: `${serverUrl}/uploads/repos/owner/repo/releases/1/assets{?name,label}`,
+        assets: [{ id: 7, name: "build-attestation.json" }],
+      });
+    } else if (req.method === "DELETE" && url.pathname.startsWith("/repos/owner/repo/releases/assets/")) {
+      reply(204);
+    } else if (req.method === "POST" && url.pathname === "/uploads/repos/owner/repo/releases/1/assets") {
+      reply(201, { browser_download_url: `https://github.com/owner/repo/releases/download/v1/${url.searchParams.get("name")}` });
+    } else if (url.pathname === "/twirp/github.actions.results.api.v1.ArtifactService/CreateArtifact") {
+      reply(200, { ok: true, signedUploadUrl: `${serverUrl}/devstoreaccount1/artifacts/upload.zip?sig=signature` });
+    } else if (url.pathname === "/twirp/github.actions.results.api.v1.ArtifactService/FinalizeArtifact") {
+      reply(200, { ok: true, artifactId: "42" });
+    } else if (req.method === "PUT" && url.pathname.startsWith("/devstoreaccount1/")) {
+      reply(201);
+    } else {
+      reply(404, { message: "Not Found" });
+    }
+  });
+});
+let serverUrl;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  requests = [];
+});
+
+function release(tag) {
+  return { tag, token: "gh-token", repository: "owner/repo", apiUrl: serverUrl };
+}
+
+// An attestation envelope, the SLSA provenance witness exported next to it, and files that
+// must not be published with it: an incomplete envelope, an unrelated file and a link export
+// left by an earlier run with attestor-link-export on.
+function attestationFiles() {
+  const dir = fs.mkdtempSync(path.join(tmp, "attestations-"));
+  const files = {
+    "build-attestation.json": "{\"payload\":\"\"}",
+    "build-attestation.json-slsa.json": "{\"predicateType\":\"slsa\"}",
+    "build-attestation.incomplete.json": "{}",
+    "other.json": "{}",
+    "build-attestation.json-link.json": "{\"predicateType\":\"stale-link\"}",
+  };
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return { dir, envelope: path.join(dir, "build-attestation.json") };
+}
+
+test("replaces release assets with the same name", async () => {
+  const { dir } = attestationFiles();
+  const files = [path.join(dir, "build-attestation.json"), path.join(dir, "build-attestation.json-slsa.json")];
+
+  const urls = await attachToRelease(files, release("v1"));
+
+  assert.deepEqual(urls, [
+    "https://github.com/owner/repo/releases/download/v1/build-attestation.json",
+    "https://github.com/owner/repo/releases/download/v1/build-attestation.json-slsa.json",
+  ]);
+  assert.deepEqual(requests.map((request) => `${request.method} ${request.path}${request.query}`), [
+    "GET /repos/owner/repo/releases/tags/v1",
+    "DELETE /repos/owner/repo/releases/assets/7",
+    "POST /uploads/repos/owner/repo/releases/1/assets?name=build-attestation.json",
+    "POST /uploads/repos/owner/repo/releases/1/assets?name=build-attestation.json-slsa.json",
+  ]);
+  for (const request of requests) {
+    assert.equal(request.headers.authorization, "Bearer gh-token");
+  }
+  assert.equal(requests[2].body.toString(), fs.readFileSync(files[0], "utf8"));
+});
+
+test("fails when the tag has no release", async () => {
+  const { envelope } = attestationFiles();
+  await assert.rejects(attachToRelease([envelope], release("v9")), /Could not find the release for tag v9 in owner\/repo \(status 404\)/);
+  assert.equal(requests.filter((request) => request.method !== "GET").length, 0);
+});
+
+test("stages the envelope and its exported attestations as one artifact", async () => {
+  const { envelope } = attestationFiles();
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  process.env.ACTIONS_RESULTS_URL = `${serverUrl}/`;
+  process.env.ACTIONS_RUNTIME_TOKEN = `${encode({ alg: "none" })}.${encode({ scp: "Actions.Results:run-backend-id:job-backend-id" })}.`;
+  process.env.GITHUB_OUTPUT = path.join(tmp, "github-output");
+  fs.writeFileSync(process.env.GITHUB_OUTPUT, "");
+  try {
+    await publishAttestations([envelope], { artifact: { name: "build-attestations", retentionDays: 5 }, release: null }, { exportSLSA: true, exportSBOM: true });
+  } finally {
+    delete process.env.ACTIONS_RESULTS_URL;
+    delete process.env.ACTIONS_RUNTIME_TOKEN;
+    delete process.env.GITHUB_OUTPUT;
+  }
+
+  const create = requests.find((request) => request.path.endsWith("/CreateArtifact"));
+  const createBody = JSON.parse(create.body.toString());
+  assert.equal(createBody.name, "build-attestations");
+  assert.equal(createBody.workflow_run_backend_id, "run-backend-id");
+  assert.equal(createBody.workflow_job_run_backend_id, "job-backend-id");
+  assert.ok(createBody.expires_at);
+
+  // Zip entries carry their names in plain text; only the staged files are in the archive.
+  const zip = Buffer.concat(requests.filter((request) => request.method === "PUT" && request.query.includes("comp=block&")).map((request) => request.body));
+  assert.ok(zip.includes("build-attestation.json"));
+  assert.ok(zip.includes("build-attestation.json-slsa.json"));
+  assert.ok(!zip.includes("incomplete"));
+  assert.ok(!zip.includes("other.json"));
+  assert.ok(!zip.includes("-link.json"));
+  assert.ok(requests.some((request) => request.path.endsWith("/FinalizeArtifact")));
+  assert.match(fs.readFileSync(path.join(tmp, "github-output"), "utf8"), /artifact_id<<.*\n42\n/);
+});
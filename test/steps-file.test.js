@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const { loadStepsFile, runStepsFile, summarizeAttestation } = require("../index.js");
+
+// Default outfiles and script files go to os.tmpdir(), so point it at a directory of our own.
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "steps-file-test-"));
+process.env.TMPDIR = tmp;
+process.env.GITHUB_WORKSPACE = tmp;
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// A stub witness that logs its arguments, runs the command, fails like witness does when the
+// command fails, and otherwise writes an envelope for its step to the outfile.
+const witness = path.join(tmp, "witness");
+const witnessLog = path.join(tmp, "witness.log");
+fs.writeFileSync(witness, `#!/bin/sh
+printf '%s\\n' "$*" >> "${witnessLog}"
+while [ "$1" != "--" ]; do
+  case "$1" in -s=*) step="\${1#-s=}";; --outfile=*) outfile="\${1#--outfile=}";; esac
+  shift
+done
+shift
+"$@"; rc=$?
+if [ $rc -ne 0 ]; then echo "Error: failed to run attestors: exit status $rc"; exit 1; fi
+payload=$(printf '{"subject":[],"predicate":{"name":"%s"}}' "$step" | base64 | tr -d '\\n')
+printf '{"payload":"%s","payloadType":"application/vnd.in-toto+json","signatures":[]}' "$payload" > "$outfile"
+`, { mode: 0o755 });
+
+function witnessCalls() {
+  const calls = fs.existsSync(witnessLog) ? fs.readFileSync(witnessLog, "utf8").trim().split("\n") : [];
+  fs.rmSync(witnessLog, { force: true });
+  return calls.map((call) => call.split(" "));
+}
+
+let fileCount = 0;
+function stepsFile(steps) {
+  const file = path.join(tmp, `steps-${++fileCount}.yml`);
+  fs.writeFileSync(file, yaml.dump({ steps }));
+  return file;
+}
+
+function witnessOptions() {
+  return {
+    step: "",
+    attestations: ["environment"],
+    intermediates: [],
+    extraArgs: [],
+    witnessBinary: witness,
+    attestationFiles: [],
+    timeoutMinutes: 30,
+  };
+}
+
+test("rejects steps files with duplicate names or not exactly one run key", () => {
+  assert.throws(() => loadStepsFile(stepsFile([])), /must contain a non-empty 'steps' list/);
+  assert.throws(() => loadStepsFile(stepsFile([{ run: "true" }])), /Step 1 in .* must be a map with a 'name'/);
+  assert.throws(
+    () => loadStepsFile(stepsFile([{ name: "build", run: "true" }, { name: "build", command: "true" }])),
+    /Step name 'build' is used more than once/
+  );
+  assert.throws(
+    () => loadStepsFile(stepsFile([{ name: "build", run: "true", command: "true" }])),
+    /Step 'build' in .* must set exactly one of action-ref, run, command-args, command/
+  );
+  assert.throws(() => loadStepsFile(stepsFile([{ name: "build" }])), /must set exactly one of/);
+  assert.throws(() => loadStepsFile("missing.yml"), /Could not read steps file missing.yml/);
+});
+
+test("runs every step as its own witness step and collects their attestations", async () => {
+  const buildOutfile = path.join(tmp, "build.json");
+  const options = witnessOptions();
+  await runStepsFile(stepsFile([
+    { name: "checkout", "command-args": ["true"], attestations: "git environment" },
+    { name: "build", run: "echo built", attestations: ["environment", "product"], outfile: buildOutfile },
+  ]), options);
+
+  const calls = witnessCalls();
+  assert.equal(calls.length, 2);
+  assert.ok(calls[0].includes("-s=checkout"));
+  assert.ok(calls[0].includes("-a=git") && calls[0].includes("-a=environment"));
+  assert.ok(calls[0].includes(`--outfile=${path.join(tmp, "checkout-attestation.json")}`));
+  assert.ok(calls[1].includes("-s=build"));
+  assert.ok(calls[1].includes("-a=product") && !calls[1].includes("-a=git"));
+  assert.ok(calls[1].includes(`--outfile=${buildOutfile}`));
+
+  assert.deepEqual(options.attestationFiles, [path.join(tmp, "checkout-attestation.json"), buildOutfile]);
+  const summaries = options.attestationFiles.map(summarizeAttestation);
+  assert.deepEqual(summaries.map((summary) => summary.step), ["checkout", "build"]);
+  assert.notEqual(summaries[0].gitOID, summaries[1].gitOID);
+  summaries.forEach((summary) => assert.match(summary.gitOID, /^[0-9a-f]{64}$/));
+});
+
+test("continues after a failing step with continue-on-error and stops after one without", async () => {
+  const options = witnessOptions();
+  await runStepsFile(stepsFile([
+    { name: "lint", "command-args": ["sh", "-c", "exit 3"], "continue-on-error": true },
+    { name: "test", "command-args": ["true"] },
+  ]), options);
+  assert.deepEqual(witnessCalls().map((call) => call.find((arg) => arg.startsWith("-s="))), ["-s=lint", "-s=test"]);
+  // Witness writes no attestation for a failed command without attest-failed-commands.
+  assert.deepEqual(options.attestationFiles.map((file) => path.basename(file)), ["test-attestation.json"]);
+  assert.ok(!fs.existsSync(path.join(tmp, "lint-attestation.json")));
+
+  await assert.rejects(runStepsFile(stepsFile([
+    { name: "compile", "command-args": ["sh", "-c", "exit 4"] },
+    { name: "package", "command-args": ["true"] },
+  ]), witnessOptions()), (error) => {
+    assert.equal(error.message, "Step 'compile' failed: Command of witness step compile failed with exit code 4");
+    assert.equal(error.failurePhase, "command");
+    assert.equal(error.exitCode, 4);
+    return true;
+  });
+  assert.equal(witnessCalls().length, 1);
+});
+
+test("applies a step's timeout-minutes and checks every step before the first runs", async () => {
+  await assert.rejects(runStepsFile(stepsFile([
+    { name: "slow", "command-args": ["sleep", "5"], "timeout-minutes": 0.002 },
+  ]), witnessOptions()), (error) => {
+    assert.equal(error.failurePhase, "timeout");
+    return true;
+  });
+  witnessCalls();
+  assert.equal(JSON.parse(fs.readFileSync(path.join(tmp, "slow-attestation.json.incomplete.json"), "utf8")).reason, "timeout");
+
+  await assert.rejects(runStepsFile(stepsFile([
+    { name: "first", "command-args": ["true"] },
+    { name: "second", "command-args": ["true"], "timeout-minutes": "-1" },
+  ]), witnessOptions()), /timeout-minutes must be a non-negative number, got '-1'/);
+  assert.equal(witnessCalls().length, 0);
+});
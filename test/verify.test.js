@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { getArchivistaConfig, summarizeAttestation, verifyAttestations, runCleanupTasks } = require("../index.js");
+const { withInputs } = require("./helpers");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "verify-test-"));
+process.env.RUNNER_TEMP = tmp;
+test.after(() => {
+  runCleanupTasks();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const sha256 = (content) => crypto.createHash("sha256").update(content).digest("hex");
+
+// A DSSE envelope for `step` whose statement has subjects with the given SHA-256 digests.
+function envelope(step, digests) {
+  const statement = {
+    _type: "https://in-toto.io/Statement/v0.1",
+    predicateType: "https://witness.testifysec.com/attestation-collection/v0.1",
+    subject: digests.map((digest, index) => ({ name: `subject-${index}`, digest: { sha256: digest } })),
+    predicate: { name: step, attestations: [] },
+  };
+  return JSON.stringify({
+    payload: Buffer.from(JSON.stringify(statement)).toString("base64"),
+    payloadType: "application/vnd.in-toto+json",
+    signatures: [{ keyid: "key-1", sig: "c2ln" }],
+  });
+}
+
+const artifact = path.join(tmp, "artifact.bin");
+fs.writeFileSync(artifact, "artifact");
+const artifactDigest = sha256("artifact");
+const sourceDigest = "cd".repeat(32);
+
+// The attestation this run created, and the envelopes Archivista holds: `build` has the
+// artifact as subject and `checkout` the source the build used. `local` is the attestation
+// of this run, which Archivista also returns and which must not be passed twice.
+const localFile = path.join(tmp, "local.json");
+fs.writeFileSync(localFile, envelope("local", [artifactDigest]));
+const local = summarizeAttestation(localFile);
+const stored = {
+  build: envelope("build", [artifactDigest, sourceDigest]),
+  checkout: envelope("checkout", [sourceDigest]),
+};
+const gitOIDs = {};
+Object.entries(stored).forEach(([step, content]) => {
+  const file = path.join(tmp, `${step}-stored.json`);
+  fs.writeFileSync(file, content);
+  gitOIDs[step] = summarizeAttestation(file).gitOID;
+});
+const byGitOID = Object.fromEntries(Object.entries(gitOIDs).map(([step, gitOID]) => [gitOID, stored[step]]));
+
+// A local stand-in for Archivista's GraphQL search and download endpoints.
+let requests = [];
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    if (req.headers.authorization !== "Bearer secret-token") {
+      res.writeHead(401);
+      res.end();
+    } else if (req.method === "POST" && req.url === "/query") {
+      const { digests } = JSON.parse(body).variables;
+      const edges = [];
+      if (digests.includes(artifactDigest)) {
+        edges.push({ node: { gitoidSha256: local.gitOID } }, { node: { gitoidSha256: gitOIDs.build } });
+      }
+      if (digests.includes(sourceDigest)) {
+        edges.push({ node: { gitoidSha256: gitOIDs.checkout } });
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ data: { dsses: { edges } } }));
+    } else if (req.method === "GET" && req.url.startsWith("/download/") && byGitOID[req.url.slice("/download/".length)]) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(byGitOID[req.url.slice("/download/".length)]);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+});
+let serverUrl;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  requests = [];
+});
+
+// A witness that records its arguments and the envelopes it was given, then succeeds.
+const argsFile = path.join(tmp, "witness-args");
+const witness = path.join(tmp, "witness");
+fs.writeFileSync(witness, `#!/bin/sh
+: > "${argsFile}"
+for arg in "$@"; do
+  echo "$arg" >> "${argsFile}"
+  case "$arg" in --attestations=*) cat "\${arg#--attestations=}" >> "${argsFile}.envelopes"; echo >> "${argsFile}.envelopes";; esac
+done
+`, { mode: 0o755 });
+
+function archivistaConfig(token) {
+  return withInputs({ "archivista-token": token }, () => getArchivistaConfig(serverUrl));
+}
+
+function verify(archivista) {
+  fs.rmSync(`${argsFile}.envelopes`, { force: true });
+  return verifyAttestations({
+    policy: "policy.json",
+    policyKey: "policy.pub",
+    policyCa: [""],
+    artifact,
+    attestationFiles: [localFile, ""],
+    archivista,
+    witnessBinary: witness,
+  });
+}
+
+test("passes the envelopes found in Archivista to witness verify as attestation files", async () => {
+  await verify(archivistaConfig("secret-token"));
+
+  assert.ok(requests.length > 0);
+  requests.forEach((request) => assert.equal(request.headers.authorization, "Bearer secret-token"));
+  assert.deepEqual(requests.filter((request) => request.method === "GET").map((request) => request.url).sort(),
+    [`/download/${gitOIDs.build}`, `/download/${gitOIDs.checkout}`].sort());
+
+  const args = fs.readFileSync(argsFile, "utf8").trim().split("\n");
+  assert.ok(!args.some((arg) => arg.startsWith("--enable-archivista") || arg.startsWith("--archivista")), "no Archivista flags are passed to witness");
+  const attestations = args.filter((arg) => arg.startsWith("--attestations="));
+  assert.equal(attestations[0], `--attestations=${localFile}`);
+  assert.equal(attestations.length, 3);
+  const envelopes = fs.readFileSync(`${argsFile}.envelopes`, "utf8");
+  assert.ok(envelopes.includes(stored.build));
+  assert.ok(envelopes.includes(stored.checkout));
+});
+
+test("fails in the verify phase when Archivista rejects the credentials", async () => {
+  await assert.rejects(verify(archivistaConfig("wrong-token")), (error) => {
+    assert.equal(error.failurePhase, "verify");
+    assert.match(error.message, /Could not fetch attestations from Archivista/);
+    return true;
+  });
+});
+
+test("does not contact Archivista when it is not enabled", async () => {
+  await verify(null);
+
+  assert.equal(requests.length, 0);
+  const attestations = fs.readFileSync(argsFile, "utf8").trim().split("\n").filter((arg) => arg.startsWith("--attestations="));
+  assert.deepEqual(attestations, [`--attestations=${localFile}`]);
+});
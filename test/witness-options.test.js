@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildWitnessRunArgs, validateWitnessOptions, getWitnessOptions } = require("../index.js");
+const { withInputs } = require("./helpers");
+
+// Options as getWitnessOptions returns them with no inputs set.
+function baseOptions(overrides) {
+  return {
+    step: "build",
+    attestations: ["environment", "git"],
+    outfile: "/tmp/build-attestation.json",
+    intermediates: [],
+    extraArgs: [],
+    ...overrides,
+  };
+}
+
+// Run getWitnessOptions with the given INPUT_* variables set.
+function optionsFromInputs(inputs) {
+  return withInputs(inputs, getWitnessOptions);
+}
+
+test("builds witness run flags from the options", () => {
+  const args = buildWitnessRunArgs(baseOptions({
+    key: "/keys/key.pem",
+    exportSLSA: true,
+    productExcludeGlob: "*.tmp",
+    trace: "true",
+  }));
+  assert.deepEqual(args, [
+    "run",
+    "-a=environment",
+    "-a=git",
+    "--attestor-slsa-export",
+    "--key=/keys/key.pem",
+    "--attestor-product-exclude-glob=*.tmp",
+    "-s=build",
+    "--trace=true",
+    "--outfile=/tmp/build-attestation.json",
+  ]);
+});
+
+test("fills in the public Sigstore instance", () => {
+  const args = buildWitnessRunArgs(baseOptions({ enableSigstore: true, fulcioToken: "token", fulcioTokenPath: "/tmp/token" }));
+  assert.ok(args.includes("--signer-fulcio-url=https://fulcio.sigstore.dev"));
+  assert.ok(args.includes("--signer-fulcio-oidc-client-id=sigstore"));
+  assert.ok(args.includes("--signer-fulcio-token-path=/tmp/token"));
+  assert.ok(!args.some((arg) => arg.startsWith("--signer-fulcio-token=")));
+  assert.ok(args.includes("--timestamp-servers=https://freetsa.org/tsr"));
+});
+
+test("rejects more than one signer", () => {
+  assert.throws(
+    () => validateWitnessOptions(baseOptions({ key: "/keys/key.pem", enableSigstore: true, spiffeSocket: "/run/spire.sock" })),
+    /only one signer can be used, but key, sigstore\/fulcio, spiffe-socket are configured/
+  );
+  assert.throws(() => validateWitnessOptions(baseOptions({ kmsRef: "awskms:///alias/witness", fulcio: "https://fulcio.example" })),
+    /only one signer/);
+});
+
+test("rejects a certificate without a key", () => {
+  assert.throws(() => validateWitnessOptions(baseOptions({ certificate: "/keys/cert.pem" })), /certificate requires key/);
+});
+
+test("rejects Archivista without a server", () => {
+  assert.throws(() => validateWitnessOptions(baseOptions({ enableArchivista: true })), /enable-archivista requires archivista-server/);
+  assert.doesNotThrow(() => validateWitnessOptions(baseOptions({ enableArchivista: true, archivistaServer: "http://localhost:8082" })));
+});
+
+test("rejects unknown attestors and points to extra-args", () => {
+  assert.throws(
+    () => validateWitnessOptions(baseOptions({ attestations: ["environment", "made-up", "also-made-up"] })),
+    /unknown attestor\(s\): made-up, also-made-up .*pass others with extra-args/
+  );
+  assert.doesNotThrow(() => validateWitnessOptions(baseOptions({ attestations: ["", "github", "githubwebhook", "slsa"] })));
+});
+
+test("reports every problem at once", () => {
+  assert.throws(
+    () => buildWitnessRunArgs(baseOptions({ certificate: "/keys/cert.pem", enableArchivista: true, attestations: ["nope"] })),
+    /Invalid witness options: certificate requires key; enable-archivista requires archivista-server; unknown attestor\(s\): nope /
+  );
+});
+
+test("appends extra-args after the generated flags", () => {
+  const options = optionsFromInputs({ step: "build", attestations: "environment", "extra-args": "-a=my-attestor --attestor-product-include-glob=dist/*" });
+  assert.deepEqual(options.extraArgs, ["-a=my-attestor", "--attestor-product-include-glob=dist/*"]);
+  const args = buildWitnessRunArgs(options);
+  assert.deepEqual(args.slice(-2), ["-a=my-attestor", "--attestor-product-include-glob=dist/*"]);
+});
+
+test("splits extra-args with shell quoting", () => {
+  const options = optionsFromInputs({ step: "build", "extra-args": `--foo=a --bar='c d' "--baz=x \\"y\\"" e\\ f ''` });
+  assert.deepEqual(options.extraArgs, ["--foo=a", "--bar=c d", '--baz=x "y"', "e f", ""]);
+  assert.throws(() => optionsFromInputs({ step: "build", "extra-args": "--bar='c d" }), /Unterminated single quote in extra-args/);
+  assert.throws(() => optionsFromInputs({ step: "build", "extra-args": '--bar="c d' }), /Unterminated double quote in extra-args/);
+});